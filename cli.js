@@ -0,0 +1,335 @@
+import dotenv from "dotenv";
+import { parseArgs } from "node:util";
+import Database from "./src/database.js";
+import Scraper from "./src/scraper.js";
+import Notifier from "./src/notifier.js";
+import AqarBot from "./src/bot.js";
+import Config from "./src/config.js";
+import logger from "./src/logger.js";
+import Csv from "./src/csv.js";
+
+// Load environment variables
+dotenv.config();
+
+// Bot and database logs go to stderr so command output (e.g. exports) stays clean
+logger.configure({ write: (line) => process.stderr.write(`${line}\n`) });
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  list [--available]                  List tracked projects
+  show <id> [--live]                  Show a project and its recent trigger decisions
+                                      (--live also asks the Validation API)
+  checks [--limit n]                  List recent check runs
+  export --format csv|json            Write every project to stdout
+  reset-baseline                      Forget recorded counts (the next check records them silently)
+  mute <id> [--off]                   Stop (or with --off resume) alerts for a project
+  send-test-alert <id> [--reason r]   Send a project's alert to the admins (default reason: available)
+  run-once                            Run a single check and exit`;
+
+const EXPORT_COLUMNS = [
+  "resource_id",
+  "project_name",
+  "project_type",
+  "profile",
+  "city",
+  "region",
+  "available_units_count",
+  "min_non_bene_price",
+  "location_lat",
+  "location_lon",
+  "bookable",
+  "muted",
+  "last_watched_at",
+  "last_indexed_at",
+];
+
+/**
+ * Parse a resource ID argument
+ * @param {string} value - Positional argument
+ * @returns {number} Resource ID
+ * @throws {Error} If the value is not a positive integer
+ */
+function parseResourceId(value) {
+  const resourceId = parseInt(value, 10);
+  if (!/^\d+$/.test(value || "") || resourceId <= 0) {
+    throw new Error(`Invalid project ID: ${value ?? "(missing)"}`);
+  }
+  return resourceId;
+}
+
+/**
+ * Load a stored project or fail
+ * @param {Database} database - Open database
+ * @param {string} value - Resource ID argument
+ * @returns {Promise<object>} Project row
+ * @throws {Error} If the project is not in the database
+ */
+async function requireProject(database, value) {
+  const resourceId = parseResourceId(value);
+  const project = await database.getProject(resourceId);
+  if (!project) {
+    throw new Error(`Project ${resourceId} is not in the database`);
+  }
+  return project;
+}
+
+/**
+ * One-line summary of a trigger decision
+ * @param {object} decision - trigger_decisions row (with check_id)
+ * @returns {string} Summary
+ */
+function formatDecision(decision) {
+  const steps = ["step1_counters", "step2_search", "step3_validation"]
+    .map((step) => decision[step] || "-")
+    .join(" / ");
+  const outcome = decision.suppressed
+    ? `suppressed (${decision.suppressed})`
+    : decision.notified
+    ? `notified${
+        decision.recipients_count !== null
+          ? ` ${decision.recipients_count} chat(s)`
+          : ""
+      }`
+    : "not notified";
+
+  return [
+    decision.decided_at,
+    `[${decision.check_id}]`,
+    `${decision.reason} ${decision.previous_count ?? "—"} → ${
+      decision.new_count
+    }`,
+    `steps: ${steps}`,
+    outcome,
+    decision.detail ? `- ${decision.detail}` : null,
+  ]
+    .filter(Boolean)
+    .join("  ");
+}
+
+const commands = {
+  async list(database, args, options) {
+    const projects = (await database.getProjects()).filter(
+      (p) => !options.available || p.available_units_count > 0
+    );
+
+    for (const p of projects) {
+      console.log(
+        [
+          String(p.resource_id).padStart(6),
+          String(p.available_units_count).padStart(5),
+          p.muted ? "🔕" : "  ",
+          p.project_name || "(not indexed)",
+          [p.city, p.region].filter(Boolean).join(" - "),
+        ].join("  ")
+      );
+    }
+    console.log(`\n📋 ${projects.length} project(s)`);
+  },
+
+  async show(database, [id], options) {
+    const project = await requireProject(database, id);
+
+    for (const [key, value] of Object.entries(project)) {
+      console.log(`${key.padEnd(24)} ${value ?? ""}`);
+    }
+
+    const history = await database.getUnitCountHistory(project.resource_id, 10);
+    if (history.length > 0) {
+      console.log(`\n📈 Last ${history.length} count change(s):`);
+      for (const row of history) {
+        console.log(
+          `   ${row.recorded_at}  ${row.previous_count ?? "—"} → ${
+            row.new_count
+          }`
+        );
+      }
+    }
+
+    const decisions = await database.getTriggerDecisions(
+      project.resource_id,
+      10
+    );
+    if (decisions.length > 0) {
+      console.log(`\n🧾 Last ${decisions.length} trigger decision(s):`);
+      for (const d of decisions) {
+        console.log(`   ${formatDecision(d)}`);
+      }
+    }
+
+    if (options.live) {
+      // Same endpoint and timeout as the bot (config file or environment)
+      const config = Config.load(process.env);
+      const scraper = new Scraper(null, null, {
+        validationApiUrl: config.get("api.validation_url"),
+        timeouts: { validation: config.get("timeouts.validation") },
+        maxRetries: 0,
+      });
+      const live = await scraper.validateProject(project.resource_id);
+      console.log(
+        live
+          ? `\n🔍 Live: ${live.available_units_count} unit(s), bookable`
+          : "\n🔍 Live: not bookable or no units (Validation API)"
+      );
+    }
+  },
+
+  async checks(database, args, options) {
+    const limit = parseInt(options.limit || "20", 10);
+    if (!(limit > 0)) {
+      throw new Error(`Invalid limit: ${options.limit}`);
+    }
+    const runs = await database.getCheckRuns(limit);
+
+    for (const run of runs) {
+      console.log(
+        [
+          run.started_at,
+          run.check_id,
+          run.status.padEnd(7),
+          `counters=${run.counters_count ?? "—"}`,
+          `search=${run.search_results_count ?? "—"}`,
+          `triggers=${run.triggers_count}`,
+          `notified=${run.notifications_count}`,
+          run.error ? `error="${run.error}"` : null,
+        ]
+          .filter(Boolean)
+          .join("  ")
+      );
+    }
+    console.log(`\n📋 ${runs.length} check run(s)`);
+  },
+
+  async export(database, args, options) {
+    const projects = await database.getProjects();
+
+    if (options.format === "json") {
+      console.log(JSON.stringify(projects, null, 2));
+    } else if (options.format === "csv") {
+      console.log(EXPORT_COLUMNS.join(","));
+      for (const project of projects) {
+        console.log(Csv.line(EXPORT_COLUMNS.map((column) => project[column])));
+      }
+    } else {
+      throw new Error(
+        `Unknown export format: ${options.format ?? "(missing)"} (csv or json)`
+      );
+    }
+  },
+
+  async "reset-baseline"(database) {
+    const reset = await database.resetBaseline();
+    console.log(
+      `✅ Forgot the counts of ${reset} project(s); the next check records a silent baseline`
+    );
+  },
+
+  async mute(database, [id], options) {
+    const project = await requireProject(database, id);
+    await database.setMuted(project.resource_id, !options.off);
+    console.log(
+      options.off
+        ? `🔔 Alerts resumed for project ${project.resource_id}`
+        : `🔕 Project ${project.resource_id} muted (counts are still recorded)`
+    );
+  },
+
+  async "send-test-alert"(database, [id], options) {
+    const project = await requireProject(database, id);
+    const reason = options.reason || "available";
+
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+      throw new Error("TELEGRAM_BOT_TOKEN is required");
+    }
+
+    // Admins from the config file or TELEGRAM_ADMIN_IDS, like the bot
+    const adminIds = Config.load(process.env).get("telegram.admin_ids");
+    const notifier = new Notifier(process.env.TELEGRAM_BOT_TOKEN, adminIds, {
+      baseApiUrl: process.env.TELEGRAM_API_URL,
+    });
+    notifier.locales = await database.getChatLocales();
+    // Mark the alert as a test so nobody rushes to book
+    const template = {
+      headers: {
+        [reason]: {
+          ar: `🧪 ${notifier._getHeader(reason, null, "ar")} (تجريبي)`,
+          en: `🧪 ${notifier._getHeader(reason, null, "en")} (test)`,
+        },
+      },
+    };
+
+    await notifier.sendNotification(project, reason, adminIds, { template });
+    console.log(
+      `✅ Test ${reason} alert for project ${project.resource_id} sent to ${adminIds.length} admin(s)`
+    );
+  },
+};
+
+/**
+ * run-once: a single runCheck with the bot's full configuration
+ * Exits with status 1 if the check failed
+ */
+async function runOnce() {
+  const bot = new AqarBot();
+
+  await bot.database.initialize();
+  try {
+    await bot.loadLocales();
+    await bot.runCheck();
+  } finally {
+    await bot.stop();
+  }
+
+  if (bot.lastError) {
+    throw new Error(`Check failed: ${bot.lastError.message}`);
+  }
+}
+
+/**
+ * Run a CLI command against the SQLite database
+ * Usage: node cli.js <command> [options]
+ */
+async function main() {
+  const { positionals, values: options } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      available: { type: "boolean" },
+      live: { type: "boolean" },
+      format: { type: "string" },
+      limit: { type: "string" },
+      off: { type: "boolean" },
+      reason: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command, ...args] = positionals;
+
+  if (!command || options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (command === "run-once") {
+    await runOnce();
+    return;
+  }
+
+  if (!commands[command]) {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  const database = new Database(process.env.DB_PATH || "./data/projects.db");
+  await database.initialize();
+
+  try {
+    await commands[command](database, args, options);
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+import dotenv from "dotenv";
+import Database from "./src/database.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Apply (or with --dry-run, list) pending database migrations
+ * Usage: node migrate.js [--dry-run]
+ */
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const database = new Database(process.env.DB_PATH || "./data/projects.db");
+
+  await database.open();
+
+  try {
+    const migrations = await database.migrate({ dryRun });
+
+    if (migrations.length === 0) {
+      console.log(
+        `✅ Schema is up to date (version ${await database.getSchemaVersion()})`
+      );
+    } else if (dryRun) {
+      console.log(`📋 ${migrations.length} pending migration(s):`);
+      for (const { version, name } of migrations) {
+        console.log(`   ${version}: ${name}`);
+      }
+    } else {
+      console.log(
+        `✅ Applied ${
+          migrations.length
+        } migration(s), schema version ${await database.getSchemaVersion()}`
+      );
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,334 @@
+import http from "http";
+import crypto from "crypto";
+import Database from "./database.js";
+import Scraper from "./scraper.js";
+import logger from "./logger.js";
+
+const log = logger.child({ module: "api" });
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Read-only JSON API over the tracked projects (for dashboards)
+ *
+ * GET /projects                        - ?available=&city=&region=&max_price=&sort=id|price|units&order=asc|desc&page=&per_page=
+ * GET /projects/:resource_id          - One project
+ * GET /projects/:resource_id/history  - Unit count and price changes
+ *
+ * Requests need `Authorization: Bearer <token>` when a token is configured
+ */
+class ApiServer {
+  /**
+   * @param {Database} database - Open database
+   * @param {object} options
+   * @param {number} options.port - Port to listen on
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   * @param {string|null} [options.token=null] - Bearer token required on every request
+   * @param {number} [options.maxPageSize=100] - Largest accepted per_page
+   */
+  constructor(
+    database,
+    { port, host = "127.0.0.1", token = null, maxPageSize = 100 }
+  ) {
+    this.database = database;
+    this.port = port;
+    this.host = host;
+    this.token = token;
+    this.maxPageSize = maxPageSize;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    // Port 0 picks a free port
+    this.port = this.server.address().port;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  /**
+   * Convert a project row to its API representation
+   * @param {object} row - Project row
+   * @returns {object} Project
+   */
+  static serializeProject(row) {
+    return {
+      resource_id: row.resource_id,
+      project_name: row.project_name,
+      project_type: row.project_type,
+      profile: row.profile,
+      city: row.city,
+      region: row.region,
+      developer_name: row.developer_name,
+      available_units_count: row.available_units_count,
+      min_non_bene_price: row.min_non_bene_price,
+      location:
+        row.location_lat && row.location_lon
+          ? { lat: row.location_lat, lon: row.location_lon }
+          : null,
+      banner_url: row.banner_url,
+      views_count: row.views_count,
+      bookable: Boolean(row.bookable),
+      muted: Boolean(row.muted),
+      url: Scraper.generateProjectUrl(row.resource_id),
+      last_indexed_at: ApiServer._time(row.last_indexed_at),
+      last_watched_at: ApiServer._time(row.last_watched_at),
+      last_updated: ApiServer._time(row.last_updated),
+    };
+  }
+
+  /**
+   * Parse the /projects query string
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {object} Database query with page and per_page
+   * @throws {Error} If a parameter is invalid (status 400)
+   */
+  _parseListQuery(params) {
+    const query = {
+      available: null,
+      city: params.get("city") || null,
+      region: params.get("region") || null,
+      maxPrice: null,
+      sort: params.get("sort") || "id",
+      order: params.get("order") || "asc",
+    };
+
+    const available = params.get("available");
+    if (available === "true" || available === "false") {
+      query.available = available === "true";
+    } else if (available) {
+      throw ApiServer._badRequest("available must be true or false");
+    }
+
+    if (params.get("max_price")) {
+      query.maxPrice = Number(params.get("max_price"));
+      if (!(query.maxPrice > 0)) {
+        throw ApiServer._badRequest("max_price must be a positive number");
+      }
+    }
+
+    if (!["id", "price", "units"].includes(query.sort)) {
+      throw ApiServer._badRequest("sort must be id, price or units");
+    }
+    if (!["asc", "desc"].includes(query.order)) {
+      throw ApiServer._badRequest("order must be asc or desc");
+    }
+
+    const page = ApiServer._positiveInt(params.get("page"), 1, "page");
+    const perPage = ApiServer._positiveInt(
+      params.get("per_page"),
+      DEFAULT_PAGE_SIZE,
+      "per_page"
+    );
+    if (perPage > this.maxPageSize) {
+      throw ApiServer._badRequest(
+        `per_page must be at most ${this.maxPageSize}`
+      );
+    }
+
+    return { ...query, page, perPage };
+  }
+
+  /**
+   * GET /projects
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Promise<object>} Page of projects with pagination metadata
+   */
+  async _listProjects(params) {
+    const { page, perPage, ...query } = this._parseListQuery(params);
+    const { total, projects } = await this.database.queryProjects({
+      ...query,
+      limit: perPage,
+      offset: (page - 1) * perPage,
+    });
+
+    return {
+      data: projects.map((row) => ApiServer.serializeProject(row)),
+      meta: {
+        total,
+        page,
+        per_page: perPage,
+        total_pages: Math.ceil(total / perPage),
+      },
+    };
+  }
+
+  /**
+   * GET /projects/:resource_id and /projects/:resource_id/history
+   * @param {number} resourceId - Resource ID
+   * @param {boolean} history - Return the change history instead of the project
+   * @returns {Promise<object|null>} Response body or null if the project is unknown
+   */
+  async _getProject(resourceId, history) {
+    const project = await this.database.getProject(resourceId);
+    if (!project) {
+      return null;
+    }
+
+    if (!history) {
+      return { data: ApiServer.serializeProject(project) };
+    }
+
+    const [units, prices] = await Promise.all([
+      this.database.getUnitCountHistory(resourceId),
+      this.database.getPriceHistory(resourceId),
+    ]);
+
+    return {
+      data: {
+        resource_id: resourceId,
+        units: units.map((row) => ({
+          previous_count: row.previous_count,
+          new_count: row.new_count,
+          recorded_at: ApiServer._time(row.recorded_at),
+        })),
+        prices: prices.map((row) => ({
+          previous_price: row.previous_price,
+          new_price: row.new_price,
+          recorded_at: ApiServer._time(row.recorded_at),
+        })),
+      },
+    };
+  }
+
+  /**
+   * Check the bearer token (constant-time)
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if no token is configured or the request carries it
+   */
+  _isAuthorized(req) {
+    if (!this.token) {
+      return true;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    if (!match) {
+      return false;
+    }
+
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.token);
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") {
+      this._send(res, 405, { error: "Method Not Allowed" });
+      return;
+    }
+
+    if (!this._isAuthorized(req)) {
+      res.setHeader("WWW-Authenticate", "Bearer");
+      this._send(res, 401, { error: "Unauthorized" });
+      return;
+    }
+
+    try {
+      if (url.pathname === "/projects") {
+        this._send(res, 200, await this._listProjects(url.searchParams));
+        return;
+      }
+
+      const match = /^\/projects\/(\d+)(\/history)?$/.exec(url.pathname);
+      if (match) {
+        const body = await this._getProject(parseInt(match[1], 10), !!match[2]);
+        if (body) {
+          this._send(res, 200, body);
+        } else {
+          this._send(res, 404, { error: `Project ${match[1]} not found` });
+        }
+        return;
+      }
+
+      this._send(res, 404, { error: "Not Found" });
+    } catch (error) {
+      if (error.status === 400) {
+        this._send(res, 400, { error: error.message });
+        return;
+      }
+
+      log.error("❌ API error", { error });
+      this._send(res, 500, { error: "Internal Server Error" });
+    }
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {object} body - JSON body
+   */
+  _send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Parse an optional positive integer parameter
+   * @param {string|null} value - Raw parameter
+   * @param {number} fallback - Value when the parameter is missing
+   * @param {string} name - Parameter name (for the error)
+   * @returns {number} Parsed value
+   * @throws {Error} If the value is not a positive integer (status 400)
+   */
+  static _positiveInt(value, fallback, name) {
+    if (!value) {
+      return fallback;
+    }
+    if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+      throw ApiServer._badRequest(`${name} must be a positive integer`);
+    }
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Build a client error
+   * @param {string} message - Error message
+   * @returns {Error} Error with status 400
+   */
+  static _badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Convert a SQLite timestamp to ISO 8601
+   * @param {string|null} value - SQLite UTC timestamp
+   * @returns {string|null} ISO timestamp
+   */
+  static _time(value) {
+    return value ? Database.fromSqlTime(value).toISOString() : null;
+  }
+}
+
+export default ApiServer;
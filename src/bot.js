@@ -0,0 +1,1501 @@
+import Database from "./database.js";
+import Scraper from "./scraper.js";
+import Notifier from "./notifier.js";
+import CommandHandler from "./commands.js";
+import Subscriptions from "./subscriptions.js";
+import Dispatcher from "./dispatcher.js";
+import WebhookChannel from "./channels/webhook.js";
+import ChatWebhookChannel from "./channels/chat-webhook.js";
+import EmailChannel from "./channels/email.js";
+import Metrics from "./metrics.js";
+import HealthServer from "./health-server.js";
+import ApiServer from "./api-server.js";
+import SearchProfile from "./profiles.js";
+import Config from "./config.js";
+import DigestScheduler from "./digest.js";
+import logger from "./logger.js";
+
+const log = logger.child({ module: "bot" });
+
+/**
+ * Main Bot Application
+ */
+class AqarBot {
+  constructor() {
+    this.validateConfig();
+    // Settings from the optional config file (CONFIG_PATH) over the environment
+    this.config = Config.load(process.env);
+
+    this.database = new Database(process.env.DB_PATH || "./data/projects.db");
+    this.metrics = new Metrics();
+    // Named watch profiles (config file, PROFILES_PATH, or the single SEARCH_API_URL / MOH lands default)
+    this.profiles = this.loadProfiles(this.config);
+    const searchApiUrl = this.profiles[0].url;
+    this.scraper = new Scraper(
+      searchApiUrl,
+      this.config.get("api.counters_url"),
+      {
+        maxRetries: parseInt(process.env.HTTP_MAX_RETRIES || "3", 10),
+        baseDelay: parseInt(process.env.HTTP_RETRY_BASE_DELAY_MS || "1000", 10),
+        maxDelay: parseInt(process.env.HTTP_RETRY_MAX_DELAY_MS || "30000", 10),
+        failureThreshold: parseInt(
+          process.env.CIRCUIT_FAILURE_THRESHOLD || "5",
+          10
+        ),
+        resetTimeout:
+          parseInt(process.env.CIRCUIT_RESET_SECONDS || "300", 10) * 1000,
+        onCircuitChange: (endpoint, state) =>
+          this.handleCircuitChange(endpoint, state),
+        metrics: this.metrics,
+        searchPageSize: parseInt(process.env.SEARCH_PAGE_SIZE || "100", 10),
+        searchConcurrency: parseInt(process.env.SEARCH_CONCURRENCY || "3", 10),
+        validationApiUrl: this.config.get("api.validation_url"),
+        timeouts: {
+          counters: this.config.get("timeouts.counters"),
+          search: this.config.get("timeouts.search"),
+          validation: this.config.get("timeouts.validation"),
+        },
+      }
+    );
+
+    const adminIds = this.config.get("telegram.admin_ids");
+    this.notifier = new Notifier(process.env.TELEGRAM_BOT_TOKEN, adminIds, {
+      baseApiUrl: process.env.TELEGRAM_API_URL,
+      // Posted alerts are edited with the live count until the project sells out
+      onAlertSent: (project, reason, messages) =>
+        this.database.addAlertMessages(project.resource_id, reason, messages),
+    });
+    this.dispatcher = new Dispatcher([this.notifier, ...this.createChannels()]);
+
+    this.checkInterval = this.config.get("check_interval"); // minutes
+    this.indexInterval = this.config.get("index_interval"); // minutes
+    // Minimum unit increase on an already open project to announce (0 disables)
+    this.increaseThreshold = this.config.get("increase_threshold");
+    // Flap suppression (both can be overridden per project with /cooldown)
+    // - at most one opening alert per project per cooldown window (0 disables)
+    // - a sold-out project must stay at 0 for N checks before a restock alerts again (0 disables)
+    this.cooldownMinutes = this.config.get("alert_cooldown_minutes");
+    this.rearmChecks = this.config.get("rearm_zero_checks");
+    // Minimum price change (in %) on an open project to announce (0 announces every change)
+    this.priceChangeMinPercent = this.config.get("price_change_min_percent");
+    // Days of check runs / trigger decisions to keep (0 keeps them forever)
+    this.auditRetentionDays = parseInt(
+      process.env.AUDIT_RETENTION_DAYS || "90",
+      10
+    );
+
+    // Telegram commands (/status, /projects, /project, /check)
+    this.commands =
+      process.env.ENABLE_COMMANDS !== "false" ? new CommandHandler(this) : null;
+
+    // /healthz and /metrics (enabled when HEALTH_PORT is set)
+    this.healthServer = process.env.HEALTH_PORT
+      ? new HealthServer(this, {
+          port: parseInt(process.env.HEALTH_PORT, 10),
+          host: process.env.HEALTH_HOST || "0.0.0.0",
+          maxMissedChecks: parseInt(
+            process.env.HEALTH_MAX_MISSED_CHECKS || "3",
+            10
+          ),
+        })
+      : null;
+
+    // Read-only REST API over the projects (enabled when API_PORT is set)
+    this.apiServer = process.env.API_PORT
+      ? new ApiServer(this.database, {
+          port: parseInt(process.env.API_PORT, 10),
+          host: process.env.API_HOST || "127.0.0.1",
+          token: process.env.API_TOKEN || null,
+        })
+      : null;
+
+    // Daily / weekly digest (enabled when DIGEST_DAILY_TIME or DIGEST_WEEKLY_TIME is set)
+    this.digest =
+      process.env.DIGEST_DAILY_TIME || process.env.DIGEST_WEEKLY_TIME
+        ? new DigestScheduler(this, {
+            dailyTime: process.env.DIGEST_DAILY_TIME || null,
+            weeklyTime: process.env.DIGEST_WEEKLY_TIME || null,
+            weeklyDay: parseInt(process.env.DIGEST_WEEKLY_DAY || "0", 10),
+            csv: process.env.DIGEST_CSV === "true",
+            chatIds: process.env.DIGEST_CHAT_IDS
+              ? process.env.DIGEST_CHAT_IDS.split(",").map((id) => id.trim())
+              : null,
+          })
+        : null;
+
+    this.checkTimerId = null;
+    this.indexTimerId = null;
+    this.unwatchConfig = null;
+    this.isChecking = false;
+    this.isIndexing = false;
+    // First check since startup: catch up on transitions missed while the bot
+    // was down (or silently record a baseline if the database is empty)
+    this.isFirstRun = true;
+
+    // Check state exposed through /status
+    this.lastCheckAt = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.lastIndexAt = null;
+  }
+
+  /**
+   * Validate required environment variables
+   * (the admin IDs and API URLs are validated by Config, so they can also come from the config file)
+   */
+  validateConfig() {
+    const required = ["TELEGRAM_BOT_TOKEN"];
+    const missing = required.filter((key) => !process.env[key]);
+
+    if (missing.length > 0) {
+      throw new Error(
+        `Missing required environment variables: ${missing.join(", ")}\n` +
+          "Please check your .env file."
+      );
+    }
+  }
+
+  /**
+   * Create the optional notification channels enabled in the environment
+   * Telegram is always enabled and is added separately
+   * @returns {Array<Channel>} Enabled channels
+   */
+  createChannels() {
+    const channels = [];
+
+    if (process.env.WEBHOOK_URL) {
+      channels.push(
+        new WebhookChannel(process.env.WEBHOOK_URL, process.env.WEBHOOK_TOKEN)
+      );
+    }
+
+    if (process.env.DISCORD_WEBHOOK_URL) {
+      channels.push(
+        new ChatWebhookChannel("discord", process.env.DISCORD_WEBHOOK_URL)
+      );
+    }
+
+    if (process.env.SLACK_WEBHOOK_URL) {
+      channels.push(
+        new ChatWebhookChannel("slack", process.env.SLACK_WEBHOOK_URL)
+      );
+    }
+
+    if (process.env.SMTP_HOST && process.env.EMAIL_TO) {
+      const smtp = {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || "587", 10),
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      };
+      const recipients = process.env.EMAIL_TO.split(",").map((email) =>
+        email.trim()
+      );
+      channels.push(
+        new EmailChannel(
+          smtp,
+          process.env.EMAIL_FROM || process.env.SMTP_USER,
+          recipients
+        )
+      );
+    }
+
+    return channels;
+  }
+
+  /**
+   * Build the watch profiles for a configuration
+   * @param {Config} config - Configuration
+   * @returns {Array<SearchProfile>} Profiles
+   */
+  loadProfiles(config) {
+    const baseUrl = config.get("api.search_base_url") || undefined;
+    const profiles = config.get("profiles");
+
+    return profiles
+      ? SearchProfile.fromConfigs(profiles, baseUrl)
+      : SearchProfile.load({ ...process.env, SEARCH_API_BASE_URL: baseUrl });
+  }
+
+  /**
+   * Re-read the config file after it changed
+   * An invalid file is logged and ignored (the current settings stay in effect)
+   * @returns {Array<object>|null} Applied changes, or null if the file was rejected
+   */
+  reloadConfig() {
+    let applied;
+    try {
+      applied = this.applyConfig(Config.load(process.env));
+    } catch (error) {
+      log.error("❌ Config file rejected - keeping the current settings", {
+        problems: error.problems || [error.message],
+      });
+      return null;
+    }
+
+    if (applied.length === 0) {
+      log.info("⚙️  Config file reloaded - nothing to apply");
+    }
+    return applied;
+  }
+
+  /**
+   * Apply a new configuration without restarting
+   * Hot settings take effect immediately (timers are rescheduled); the others
+   * are logged and keep their running value until the bot restarts
+   * @param {Config} next - Validated configuration
+   * @returns {Array<object>} Applied changes ({ key, from, to })
+   * @throws {Error} If the new profiles cannot be built (nothing is changed)
+   */
+  applyConfig(next) {
+    const changes = this.config.diff(next);
+    const values = { ...next.values };
+    for (const { key, from, hot } of changes) {
+      if (!hot) {
+        values[key] = from;
+      }
+    }
+    const config = new Config(values, next.file);
+
+    // Build the profiles before touching the running state: PROFILES_PATH can
+    // still be invalid when the config file drops its own profiles
+    const profilesChanged = changes.some(
+      ({ key, hot }) =>
+        hot && (key === "profiles" || key === "api.search_base_url")
+    );
+    const profiles = profilesChanged ? this.loadProfiles(config) : null;
+
+    for (const { key, from, to, hot } of changes) {
+      if (!hot) {
+        log.warn(`⚠️  ${key} changed - restart the bot to apply it`, {
+          running: from,
+          configured: to,
+        });
+        continue;
+      }
+
+      switch (key) {
+        case "check_interval":
+          this.checkInterval = to;
+          if (this.checkTimerId) {
+            clearInterval(this.checkTimerId);
+            this.scheduleChecks();
+          }
+          break;
+        case "index_interval":
+          this.indexInterval = to;
+          if (this.indexTimerId) {
+            clearInterval(this.indexTimerId);
+            this.scheduleIndexing();
+          }
+          break;
+        case "increase_threshold":
+          this.increaseThreshold = to;
+          break;
+        case "alert_cooldown_minutes":
+          this.cooldownMinutes = to;
+          break;
+        case "rearm_zero_checks":
+          this.rearmChecks = to;
+          break;
+        case "price_change_min_percent":
+          this.priceChangeMinPercent = to;
+          break;
+        case "telegram.admin_ids":
+          this.notifier.adminIds = to;
+          break;
+        case "api.validation_url":
+          this.scraper.setValidationApiUrl(to);
+          break;
+        case "timeouts.counters":
+        case "timeouts.search":
+        case "timeouts.validation":
+          this.scraper.timeouts[key.split(".")[1]] = to;
+          break;
+      }
+
+      log.info(
+        `⚙️  ${key}: ${AqarBot.formatSetting(from)} → ${AqarBot.formatSetting(
+          to
+        )}`
+      );
+    }
+
+    this.config = config;
+
+    if (profiles) {
+      this.profiles = profiles;
+      this.scraper.searchApiUrl = this.profiles[0].url;
+      log.info(`🎯 Profiles: ${this.profiles.map((p) => p.name).join(", ")}`);
+    }
+
+    return changes
+      .filter((change) => change.hot)
+      .map(({ key, from, to }) => ({ key, from, to }));
+  }
+
+  /**
+   * Short text for a setting value in the change log
+   * @param {*} value - Setting value
+   * @returns {string} Text
+   */
+  static formatSetting(value) {
+    if (value === null || value === undefined) {
+      return "(default)";
+    }
+    if (Array.isArray(value)) {
+      // Profiles are whole definitions; their names are enough
+      return value
+        .map((item) => (typeof item === "object" ? item.name : item))
+        .join(", ");
+    }
+    return String(value);
+  }
+
+  /**
+   * Initialize the bot
+   */
+  async initialize() {
+    try {
+      log.info("🚀 Starting Aqar Bot with 3-Step Verification...");
+      log.info(`⏱  Check interval: ${this.checkInterval} minute(s)`);
+      log.info(`🗂  Index interval: ${this.indexInterval} minute(s)`);
+      log.info(`🔍 Verification: Counters → Search → Validation`);
+      log.info(`🎯 Profiles: ${this.profiles.map((p) => p.name).join(", ")}`);
+      log.info(
+        `📣 Channels: ${this.dispatcher.channels.map((c) => c.name).join(", ")}`
+      );
+
+      await this.database.initialize();
+      log.info("✅ Database initialized");
+      await this.loadLocales();
+
+      // Fill the catalog before the first check, then keep it fresh
+      await this.runIndex();
+      this.scheduleIndexing();
+
+      // Schedule checks
+      this.scheduleChecks();
+
+      if (this.digest) {
+        this.digest.start();
+        for (const kind of ["daily", "weekly"]) {
+          if (this.digest[kind]) {
+            log.info(
+              `📰 Next ${kind} digest: ${this.digest
+                .nextRun(kind)
+                .toLocaleString("en-US", { timeZone: "Asia/Riyadh" })}`
+            );
+          }
+        }
+      }
+
+      if (this.commands) {
+        await this.commands.start();
+        log.info("✅ Telegram commands enabled");
+      }
+
+      if (this.healthServer) {
+        await this.healthServer.start();
+        log.info(
+          `✅ Health server listening on ${this.healthServer.host}:${this.healthServer.port} (/healthz, /metrics)`
+        );
+      }
+
+      if (this.config.file) {
+        this.unwatchConfig = Config.watch(this.config.file, () =>
+          this.reloadConfig()
+        );
+        log.info(`👀 Watching ${this.config.file} for changes`);
+      }
+
+      if (this.apiServer) {
+        await this.apiServer.start();
+        log.info(
+          `✅ REST API listening on ${this.apiServer.host}:${
+            this.apiServer.port
+          }${this.apiServer.token ? " (bearer token required)" : ""}`
+        );
+      }
+
+      log.info("✅ Bot running and monitoring for availability changes");
+    } catch (error) {
+      log.error("❌ Failed to initialize bot", { error });
+      await this.dispatcher.notifyError(
+        `Initialization failed: ${error.message}`
+      );
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Load the locale each chat picked with /lang into the notifier
+   */
+  async loadLocales() {
+    this.notifier.locales = await this.database.getChatLocales();
+  }
+
+  /**
+   * Schedule periodic checks
+   */
+  scheduleChecks() {
+    const intervalMs = this.checkInterval * 60 * 1000; // Convert minutes to ms
+
+    this.checkTimerId = setInterval(async () => {
+      await this.runCheck();
+    }, intervalMs);
+
+    log.info(`⏰ Checks scheduled: every ${this.checkInterval} minute(s)`);
+  }
+
+  /**
+   * Schedule periodic catalog indexing
+   */
+  scheduleIndexing() {
+    const intervalMs = this.indexInterval * 60 * 1000; // Convert minutes to ms
+
+    this.indexTimerId = setInterval(async () => {
+      await this.runIndex();
+    }, intervalMs);
+
+    log.info(`⏰ Indexing scheduled: every ${this.indexInterval} minute(s)`);
+  }
+
+  /**
+   * Indexer: refresh metadata for every project in the Search API
+   * Runs every INDEX_INTERVAL minutes; failures are logged and retried next interval
+   */
+  async runIndex() {
+    if (this.isIndexing) {
+      log.info("⏭️  Skipping index - previous run still in progress");
+      return;
+    }
+
+    this.isIndexing = true;
+
+    try {
+      log.info(`🗂  Indexing Search API catalog...`);
+      const searchMap = await this.indexCatalog();
+      this.lastIndexAt = new Date();
+      log.info(`✅ Indexed ${searchMap.size} projects`);
+      await this.pruneAuditTrail();
+    } catch (error) {
+      log.error("❌ Index error", { error });
+    } finally {
+      this.isIndexing = false;
+    }
+  }
+
+  /**
+   * Fetch the Search API for every watch profile and upsert metadata for every project
+   * Price changes and pending "new project" details are announced from here
+   * @returns {Promise<Map<number, object>>} Search projects keyed by resource_id
+   * @throws {Error} If the search failed for every profile
+   */
+  async indexCatalog() {
+    const searchMap = await this.searchCatalog();
+
+    for (const project of searchMap.values()) {
+      const priceChange = await this.database.upsertProjectMetadata(project);
+      if (priceChange) {
+        await this.notifyPriceChange(project.resource_id, priceChange);
+      }
+    }
+
+    await this.announcePendingProjects();
+
+    return searchMap;
+  }
+
+  /**
+   * Fetch the Search API for every watch profile without storing anything
+   * A project returned by several profiles belongs to the first one
+   * @returns {Promise<Map<number, object>>} Search projects (tagged with their profile) keyed by resource_id
+   * @throws {Error} If the search failed for every profile
+   */
+  async searchCatalog() {
+    const searchMap = new Map();
+    let lastError = null;
+    let failures = 0;
+
+    for (const profile of this.profiles) {
+      let searchProjects;
+      try {
+        searchProjects = await this.scraper.fetchSearchAPI(profile.url);
+      } catch (error) {
+        log.error(`❌ Search failed for profile '${profile.name}'`, { error });
+        lastError = error;
+        failures++;
+        continue;
+      }
+
+      for (const project of searchProjects.values()) {
+        if (searchMap.has(project.resource_id)) {
+          continue;
+        }
+
+        searchMap.set(project.resource_id, {
+          ...project,
+          profile: profile.name,
+        });
+      }
+    }
+
+    if (failures === this.profiles.length) {
+      throw lastError;
+    }
+
+    return searchMap;
+  }
+
+  /**
+   * Send the full "new project" alert for projects announced with the fallback
+   * message (no metadata yet) once the indexer has their details
+   */
+  async announcePendingProjects() {
+    for (const project of await this.database.getPendingAnnouncements()) {
+      // Claim the announcement so concurrent index runs don't send it twice
+      if (
+        !(await this.database.setAnnouncementPending(
+          project.resource_id,
+          false
+        ))
+      ) {
+        continue;
+      }
+
+      if (project.muted) {
+        continue;
+      }
+
+      if (!this.resolveProfile(project)) {
+        log.info(
+          `⚠️  New project ${project.resource_id} is type '${project.project_type}' (not accepted by any profile) - No follow-up`
+        );
+        continue;
+      }
+
+      try {
+        const recipients = await this.getRecipients(project);
+        await this.deliver(project, "new_project", recipients);
+        log.info(
+          `🆕 Details of new project ${project.resource_id} sent (${recipients.length} recipient(s))`
+        );
+      } catch (error) {
+        log.error(
+          `❌ Failed to send details of new project ${project.resource_id}`,
+          { error }
+        );
+      }
+    }
+  }
+
+  /**
+   * Find the watch profile a project belongs to (Step 2 type validation)
+   * Uses the profile recorded by the indexer, then any profile accepting the project type
+   * @param {object} project - Project metadata
+   * @returns {SearchProfile|null} Profile or null if no profile accepts the project type
+   */
+  resolveProfile(project) {
+    const recorded = this.profiles.find((p) => p.name === project.profile);
+    if (recorded?.accepts(project.project_type)) {
+      return recorded;
+    }
+
+    return this.profiles.find((p) => p.accepts(project.project_type)) || null;
+  }
+
+  /**
+   * Get project metadata for the watcher, preferring the indexed catalog
+   * The Search API is only called when a project has not been indexed yet,
+   * at most once per check (the result is kept in `searchCache`); nothing is
+   * stored or announced from it, that is left to the scheduled indexer
+   * @param {number} resourceId - Resource ID
+   * @param {object} searchCache - Per-check cache ({ map: Map|null })
+   * @returns {Promise<object|null>} Project metadata or null if unknown
+   */
+  async getProjectMetadata(resourceId, searchCache) {
+    const stored = await this.database.getProject(resourceId);
+    if (stored?.last_indexed_at) {
+      return stored;
+    }
+
+    if (!searchCache.map) {
+      log.info(
+        `📊 Project ${resourceId} missing from catalog - fetching Search API...`
+      );
+      searchCache.map = await this.searchCatalog();
+      log.info(`✅ Received ${searchCache.map.size} search projects`);
+    }
+
+    return searchCache.map.get(resourceId) || null;
+  }
+
+  /**
+   * Main Check: 3-Step Verification Process
+   * Runs every CHECK_INTERVAL minutes; every line logged during a check
+   * carries the same check_id
+   */
+  async runCheck() {
+    if (this.isChecking) {
+      log.info("⏭️  Skipping check - previous check still in progress");
+      return;
+    }
+
+    const checkId = logger.newId();
+    await logger.withContext({ check_id: checkId }, () =>
+      this._runCheck(checkId)
+    );
+  }
+
+  /**
+   * Body of runCheck
+   * @param {string} checkId - Correlation ID of this check
+   */
+  async _runCheck(checkId) {
+    this.isChecking = true;
+    this.lastCheckAt = new Date();
+    let checkStatus = "error";
+
+    // Metadata comes from the indexed catalog; the Search API is only
+    // fetched (once) if a triggered project has not been indexed yet
+    const searchCache = { map: null };
+    // Audit trail of this run (check_runs / trigger_decisions)
+    const audit = {
+      runId: null,
+      counters: null,
+      triggers: 0,
+      notified: 0,
+      error: null,
+    };
+
+    try {
+      log.info("🔍 Starting 3-step verification process...");
+      audit.runId = await this.database.startCheckRun(checkId);
+
+      // STEP 1: Fetch Counters API (Source A)
+      log.info(`📊 Step 1: Fetching counters...`);
+      const counters = await this.scraper.fetchCountersAPI([
+        ...new Set(this.profiles.map((p) => p.countersKey)),
+      ]);
+      log.info(`✅ Received ${counters.length} project counters`);
+      audit.counters = counters.length;
+
+      let notificationCount = 0;
+
+      // Collects 0→N transitions found on the first check after a restart
+      let catchUp = null;
+      let lastWatchedAt = null;
+
+      // Set by `cli.js reset-baseline`, possibly while this bot is running
+      const baselinePending = await this.database.isBaselinePending();
+
+      if (this.isFirstRun || baselinePending) {
+        lastWatchedAt = await this.database.getLastWatchedAt();
+
+        // No counts recorded yet: just initialize them (avoids alerting on everything)
+        if (lastWatchedAt === null || baselinePending) {
+          log.info(
+            "⏳ No counts recorded yet - recording baseline silently..."
+          );
+          for (const { resource_id, count } of counters) {
+            await this.database.updateUnitCount(resource_id, count);
+          }
+          await this.database.clearBaselinePending();
+          log.info(`✅ Initialized ${counters.length} projects`);
+          this.isFirstRun = false;
+          this.lastSuccessAt = new Date();
+          checkStatus = "success";
+          return;
+        }
+
+        log.info(
+          `⏳ First check since startup - catching up on changes since ${
+            lastWatchedAt || "last run"
+          }...`
+        );
+        catchUp = [];
+      }
+
+      log.info(`⚡ Processing ${counters.length} projects...`);
+
+      for (const { resource_id, count } of counters) {
+        const previousCount = await this.database.getUnitCount(resource_id);
+        const reason = this.detectTrigger(previousCount, count);
+        const suppression = reason
+          ? await this.checkSuppression(resource_id, reason)
+          : null;
+
+        if (suppression) {
+          log.info(
+            `🔇 Suppressed ${reason} alert for project ${resource_id} (${
+              previousCount || 0
+            } → ${count}): ${suppression.detail}`
+          );
+          this.metrics.inc("suppressed_triggers_total", {
+            reason,
+            cause: suppression.cause,
+          });
+          await this.recordDecision(audit, {
+            resource_id,
+            reason,
+            counterCount: count,
+            previousCount,
+            step1_counters: "passed",
+            suppressed: suppression.cause,
+            detail: suppression.detail,
+          });
+        } else if (reason === "sold_out") {
+          // Sold out: N→0, announced from stored metadata (nothing to verify)
+          const recipients = await this.notifySoldOut(
+            resource_id,
+            previousCount,
+            searchCache
+          );
+          if (recipients) {
+            notificationCount++;
+          }
+          await this.recordDecision(audit, {
+            resource_id,
+            reason,
+            counterCount: count,
+            previousCount,
+            step1_counters: "passed",
+            notified: !!recipients,
+            recipients: recipients ? recipients.length : null,
+            detail: recipients
+              ? null
+              : "no stored metadata or project type not accepted",
+          });
+        } else if (reason) {
+          // Trigger: new project, 0→N or large N→M transition (Source of Truth: Counters API)
+          log.info(
+            `🚨 Trigger (${reason}) detected for project ${resource_id}: ${
+              previousCount || 0
+            } → ${count}`
+          );
+
+          const notificationData = {
+            resource_id,
+            reason,
+            counterCount: count,
+            previousCount,
+            step1_counters: "passed",
+            step2_search: null,
+            step3_validation: null,
+          };
+
+          // STEP 2: Enrichment & Type Validation (indexed Search API metadata)
+          const searchData = await this.getProjectMetadata(
+            resource_id,
+            searchCache
+          );
+
+          if (!searchData) {
+            notificationData.step2_search = "not_found";
+            this.metrics.recordVerification(notificationData);
+
+            if (previousCount === null) {
+              // Brand-new project: announce what we know now, details follow once indexed
+              log.info(
+                `🆕 Step 2: New project ${resource_id} not in Search API yet - sending fallback alert`
+              );
+              await this.database.ensureProjectExists(resource_id);
+              await this.database.setAnnouncementPending(resource_id, true);
+              const project = {
+                resource_id,
+                available_units_count: count,
+                details_pending: true,
+              };
+              const recipients = await this.getRecipients(project);
+              await this.deliver(project, "new_project", recipients);
+              notificationCount++;
+              notificationData.notified = true;
+              notificationData.recipients = recipients.length;
+              notificationData.detail =
+                "new project announced without metadata (details follow once indexed)";
+            } else {
+              log.info(
+                `⚠️  Step 2: Project ${resource_id} not found in Search API - Skipping`
+              );
+              notificationData.detail = "not found in the Search API";
+            }
+            await this.recordDecision(audit, notificationData);
+            // Update counter to avoid re-triggering if it stays > 0
+            await this.database.updateUnitCount(resource_id, count);
+            continue;
+          }
+
+          // Strict Type Validation (each profile lists its accepted types)
+          const profile = this.resolveProfile(searchData);
+          if (!profile) {
+            log.info(
+              `⚠️  Step 2: Project ${resource_id} is type '${searchData.project_type}' (not accepted by any profile) - Skipping`
+            );
+            notificationData.step2_search = "invalid_type";
+            notificationData.detail = `type '${searchData.project_type}' not accepted by any profile`;
+            this.metrics.recordVerification(notificationData);
+            await this.recordDecision(audit, notificationData);
+            await this.database.updateUnitCount(resource_id, count);
+            continue;
+          }
+
+          log.info(
+            `✅ Step 2: Validated '${searchData.project_type}' (${profile.name}) for ${resource_id}`
+          );
+          notificationData.step2_search = "passed";
+
+          // STEP 3: Soft Validation (Validation API)
+          // We try to get the most up-to-date details, but fallback to Search API if it fails
+          log.info(`🔍 Step 3: Soft validation with mainIntermediaryApi...`);
+
+          let finalProjectData = null;
+          const validatedProject = await this.scraper.validateProject(
+            resource_id
+          );
+
+          if (validatedProject) {
+            log.info(`✅ Step 3: Validation passed (Using fresh data)`);
+            notificationData.step3_validation = "passed";
+            finalProjectData = validatedProject;
+          } else {
+            log.info(
+              `⚠️  Step 3: Validation failed/timeout - FALLBACK to Search API data`
+            );
+            notificationData.step3_validation = "fallback";
+
+            // Construct project object from Search API data (Step 2)
+            // We use the 'count' from Counters API (Step 1) as it's the source of truth for availability
+            finalProjectData = {
+              ...searchData,
+              available_units_count: count, // Override with live counter
+            };
+          }
+
+          finalProjectData.previous_units_count = previousCount;
+          finalProjectData.profile = profile.name;
+          notificationData.project_name = finalProjectData.project_name;
+          notificationData.finalUnits = finalProjectData.available_units_count;
+
+          // ALL CHECKS PASSED - SEND NOTIFICATION
+          log.info(`📤 Sending notification for ${resource_id}`, {
+            name: finalProjectData.project_name,
+            city: finalProjectData.city,
+            region: finalProjectData.region,
+            units: finalProjectData.available_units_count,
+            source:
+              notificationData.step3_validation === "passed"
+                ? "validation"
+                : "search",
+          });
+
+          // A new price is shown in the alert itself (old ← new)
+          const priceChange = await this.database.upsertProjectMetadata(
+            finalProjectData
+          );
+          if (priceChange) {
+            finalProjectData.previous_price = priceChange.previous_price;
+          }
+          this.metrics.recordVerification(notificationData);
+
+          if (catchUp && (reason === "available" || reason === "restocked")) {
+            // Reported together in the "while you were away" summary; the count,
+            // the alert and the decision are recorded once the summary is delivered
+            // (until then the next check still sees the opening)
+            catchUp.push({
+              project: { ...finalProjectData, reason },
+              decision: notificationData,
+              previousCount,
+              count,
+            });
+            log.info(`🕘 Queued for catch-up summary`);
+            continue;
+          }
+
+          const recipients = await this.getRecipients(finalProjectData);
+          await this.deliver(finalProjectData, reason, recipients);
+          log.info(
+            `✅ Notification sent successfully (${recipients.length} recipient(s))`
+          );
+          notificationData.recipients = recipients.length;
+
+          // A new project at 0 units must not start the cooldown of its opening alert
+          if (reason !== "new_project") {
+            await this.database.recordAlert(resource_id, reason);
+          }
+
+          notificationCount++;
+          notificationData.notified = true;
+          await this.recordDecision(audit, notificationData);
+        }
+
+        // Always update counter
+        await this.database.updateUnitCount(resource_id, count);
+
+        if (count !== previousCount) {
+          await this.refreshAlertMessages(resource_id, count);
+        }
+      }
+
+      if (catchUp) {
+        if (catchUp.length > 0) {
+          const recipientCounts = await this.deliverCatchUp(
+            catchUp.map(({ project }) => project),
+            lastWatchedAt
+          );
+
+          for (const { project, decision, previousCount, count } of catchUp) {
+            await this.database.updateUnitCount(project.resource_id, count);
+            if (count !== previousCount) {
+              await this.refreshAlertMessages(project.resource_id, count);
+            }
+            await this.database.recordAlert(
+              project.resource_id,
+              project.reason
+            );
+            notificationCount++;
+            decision.notified = true;
+            decision.recipients = recipientCounts.get(project.resource_id);
+            decision.detail = "sent in the catch-up summary";
+            await this.recordDecision(audit, decision);
+          }
+        }
+        log.info(
+          `🕘 Catch-up complete: ${catchUp.length} project(s) opened while the bot was down`
+        );
+        this.isFirstRun = false;
+      }
+
+      if (notificationCount > 0) {
+        log.info(
+          `🎯 Check complete: Sent ${notificationCount} verified notifications`
+        );
+      } else {
+        log.info(`ℹ️  Check complete: No new opportunities found`);
+      }
+
+      this.lastSuccessAt = new Date();
+      checkStatus = "success";
+    } catch (error) {
+      log.error("❌ Check error", { error });
+      audit.error = error.message;
+      this.lastError = {
+        message: error.message,
+        at: new Date(),
+        check_id: checkId,
+      };
+
+      // An open circuit was already reported when it opened
+      if (error.code !== "CIRCUIT_OPEN") {
+        await this.dispatcher.notifyError(
+          `Check ${checkId} failed: ${error.message}`
+        );
+      }
+    } finally {
+      await this.finishCheckRun(audit, checkStatus, searchCache);
+      this.isChecking = false;
+      this.metrics.observe(
+        "check_duration_seconds",
+        {},
+        (Date.now() - this.lastCheckAt.getTime()) / 1000
+      );
+      this.metrics.inc("checks_total", { status: checkStatus });
+      if (this.lastSuccessAt) {
+        this.metrics.set(
+          "last_success_timestamp_seconds",
+          {},
+          Math.floor(this.lastSuccessAt.getTime() / 1000)
+        );
+      }
+    }
+  }
+
+  /**
+   * Report circuit breaker transitions to admins
+   * @param {string} endpoint - 'counters', 'search' or 'validation'
+   * @param {string} state - New state ('open', 'half_open' or 'closed')
+   */
+  async handleCircuitChange(endpoint, state) {
+    if (state === "open") {
+      const { failures, lastFailure, retryAt } =
+        this.scraper.breakers[endpoint].getState();
+      await this.dispatcher.notifyError(
+        `Circuit opened for ${endpoint} API after ${failures} failure(s): ${lastFailure}. ` +
+          `Paused until ${retryAt.toISOString()}`
+      );
+    } else if (state === "closed") {
+      await this.dispatcher.notifyError(
+        `Circuit closed for ${endpoint} API - endpoint recovered`
+      );
+    }
+  }
+
+  /**
+   * Classify a unit count change
+   * @param {number|null} previousCount - Stored count (null if never seen)
+   * @param {number} count - Live count from the Counters API
+   * @returns {string|null} 'available' (first seen with units), 'new_project'
+   *   (first seen without units), 'restocked' (0→N), 'increased' (N→M above
+   *   INCREASE_THRESHOLD), 'sold_out' (N→0) or null
+   */
+  detectTrigger(previousCount, count) {
+    if (previousCount === null) {
+      return count > 0 ? "available" : "new_project";
+    }
+
+    if (previousCount === 0) {
+      return count > 0 ? "restocked" : null;
+    }
+
+    if (count === 0) {
+      return "sold_out";
+    }
+
+    if (
+      this.increaseThreshold > 0 &&
+      count - previousCount >= this.increaseThreshold
+    ) {
+      return "increased";
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide whether a trigger should be suppressed (muted project or flapping counters)
+   * - muted projects (cli.js mute) never alert
+   * - restocked: the project must have stayed at 0 for `rearm_checks` checks
+   * - available / restocked / increased: at most one alert per `cooldown_minutes`
+   * - sold_out: only if the project's last alert was not already a sell-out
+   *   (i.e. its reopening was not suppressed)
+   * Per-project `cooldown_minutes` / `rearm_checks` override the defaults
+   * @param {number} resourceId - Resource ID
+   * @param {string} reason - Trigger reason
+   * @returns {Promise<{cause: string, detail: string}|null>} Suppression or null to alert
+   */
+  async checkSuppression(resourceId, reason) {
+    const state = await this.database.getProject(resourceId);
+    if (!state) {
+      return null;
+    }
+
+    if (state.muted) {
+      return { cause: "muted", detail: "project is muted" };
+    }
+
+    if (reason === "sold_out") {
+      return state.last_alert_reason === "sold_out"
+        ? {
+            cause: "not_reopened",
+            detail:
+              "no alert since the last sell-out (reopening was suppressed)",
+          }
+        : null;
+    }
+
+    const rearmChecks = state.rearm_checks ?? this.rearmChecks;
+    if (
+      reason === "restocked" &&
+      state.zero_checks !== null &&
+      state.zero_checks < rearmChecks
+    ) {
+      return {
+        cause: "rearm",
+        detail: `stayed at 0 for ${state.zero_checks} check(s), ${rearmChecks} required to re-arm`,
+      };
+    }
+
+    const cooldownMinutes = state.cooldown_minutes ?? this.cooldownMinutes;
+    if (cooldownMinutes > 0 && state.last_alerted_at) {
+      const elapsedMinutes =
+        (Date.now() - Database.fromSqlTime(state.last_alerted_at).getTime()) /
+        60000;
+      if (elapsedMinutes < cooldownMinutes) {
+        return {
+          cause: "cooldown",
+          detail: `last alert ${Math.floor(
+            elapsedMinutes
+          )} min ago, cooldown is ${cooldownMinutes} min`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Announce a price change recorded by the indexer
+   * Only open, unmuted projects accepted by a watch profile are announced, and only when
+   * the change is at least PRICE_CHANGE_MIN_PERCENT
+   * @param {number} resourceId - Resource ID
+   * @param {{previous_price: number, new_price: number}} change - Price change
+   * @returns {Promise<boolean>} True if an alert was sent
+   */
+  async notifyPriceChange(resourceId, { previous_price, new_price }) {
+    const percent = ((new_price - previous_price) / previous_price) * 100;
+    log.info(
+      `💰 Price of project ${resourceId} changed: ${previous_price} → ${new_price} (${percent.toFixed(
+        1
+      )}%)`
+    );
+
+    if (Math.abs(percent) < this.priceChangeMinPercent) {
+      return false;
+    }
+
+    const stored = await this.database.getProject(resourceId);
+    if (
+      !stored?.last_watched_at ||
+      stored.muted ||
+      !(stored.available_units_count > 0) ||
+      !this.resolveProfile(stored)
+    ) {
+      return false;
+    }
+
+    const project = {
+      ...stored,
+      previous_price,
+      min_non_bene_price: new_price,
+      price_change_percent: Math.round(percent * 10) / 10,
+    };
+
+    try {
+      const recipients = await this.getRecipients(project);
+      await this.deliver(project, "price_changed", recipients);
+      log.info(
+        `✅ Price change notification sent (${recipients.length} recipient(s))`
+      );
+      return true;
+    } catch (error) {
+      log.error(
+        `❌ Failed to send price change notification for ${resourceId}`,
+        { error }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Edit the project's posted Telegram alerts to show the live unit count
+   * Alerts are marked sold out (and stop being tracked) once the count is 0
+   * @param {number} resourceId - Resource ID
+   * @param {number} count - Current unit count
+   */
+  async refreshAlertMessages(resourceId, count) {
+    const alerts = (
+      await this.database.getLiveAlertMessages(resourceId)
+    ).filter((alert) => alert.units_count !== count);
+    const stored =
+      alerts.length > 0 ? await this.database.getProject(resourceId) : null;
+    if (!stored) {
+      return;
+    }
+
+    const project = { ...stored, available_units_count: count };
+    const template = this.resolveProfile(project)?.template || null;
+    let updated = 0;
+
+    for (const alert of alerts) {
+      try {
+        if (await this.notifier.updateAlertMessage(alert, project, template)) {
+          await this.database.updateAlertMessage(alert.id, count);
+          updated++;
+        } else {
+          // Deleted from the chat: nothing left to update
+          await this.database.removeAlertMessage(alert.id);
+        }
+      } catch (error) {
+        log.error(
+          `❌ Failed to update alert message ${alert.message_id} in ${alert.chat_id}`,
+          { error }
+        );
+      }
+    }
+
+    log.info(
+      `✏️  Updated ${updated} alert message(s) for project ${resourceId} (${
+        count > 0 ? `${count} units` : "sold out"
+      })`
+    );
+  }
+
+  /**
+   * Announce that a project sold out (N→0)
+   * Uses stored metadata (falling back to Search API data); projects that
+   * would not have passed Step 2 are not announced
+   * @param {number} resourceId - Resource ID
+   * @param {number} previousCount - Units before selling out
+   * @param {object} searchCache - Per-check Search API cache (see getProjectMetadata)
+   * @returns {Promise<Array<string>|null>} Telegram recipients, or null if not announced
+   */
+  async notifySoldOut(resourceId, previousCount, searchCache) {
+    const project = await this.getProjectMetadata(resourceId, searchCache);
+
+    if (!project || !this.resolveProfile(project)) {
+      return null;
+    }
+
+    log.info(
+      `⛔️ Project ${resourceId} sold out: ${previousCount} → 0 (${project.project_name})`
+    );
+
+    const soldOutProject = {
+      ...project,
+      available_units_count: 0,
+      previous_units_count: previousCount,
+    };
+    const recipients = await this.getRecipients(soldOutProject);
+    await this.deliver(soldOutProject, "sold_out", recipients);
+    await this.database.recordAlert(resourceId, "sold_out");
+    log.info(
+      `✅ Sold-out notification sent (${recipients.length} recipient(s))`
+    );
+
+    return recipients;
+  }
+
+  /**
+   * Store what happened to a trigger in the audit trail (trigger_decisions)
+   * A failed write is logged but never stops the check
+   * @param {object} audit - Audit state of the running check
+   * @param {object} decision - Trigger data (resource_id, reason, counterCount,
+   *   previousCount, step outcomes, suppressed, notified, recipients, detail)
+   */
+  async recordDecision(audit, decision) {
+    this.metrics.inc("triggers_total", { reason: decision.reason });
+    audit.triggers++;
+    if (decision.notified) {
+      audit.notified++;
+    }
+
+    try {
+      await this.database.addTriggerDecision(audit.runId, {
+        resource_id: decision.resource_id,
+        reason: decision.reason,
+        previous_count: decision.previousCount,
+        new_count: decision.counterCount,
+        step1_counters: decision.step1_counters,
+        step2_search: decision.step2_search,
+        step3_validation: decision.step3_validation,
+        suppressed: decision.suppressed,
+        notified: decision.notified,
+        recipients_count: decision.recipients,
+        detail: decision.detail,
+      });
+    } catch (error) {
+      log.error(
+        `❌ Failed to record decision for project ${decision.resource_id}`,
+        { error }
+      );
+    }
+  }
+
+  /**
+   * Delete audit trail rows older than AUDIT_RETENTION_DAYS (runs with indexing)
+   */
+  async pruneAuditTrail() {
+    if (this.auditRetentionDays <= 0) {
+      return;
+    }
+
+    const pruned = await this.database.pruneAuditTrail(
+      new Date(Date.now() - this.auditRetentionDays * 24 * 60 * 60 * 1000)
+    );
+    if (pruned > 0) {
+      log.info(
+        `🧹 Pruned ${pruned} check run(s) older than ${this.auditRetentionDays} day(s)`
+      );
+    }
+  }
+
+  /**
+   * Close the check run in the audit trail (check_runs)
+   * @param {object} audit - Audit state of the check
+   * @param {string} status - 'success' or 'error'
+   * @param {object} searchCache - Per-check Search API cache
+   */
+  async finishCheckRun(audit, status, searchCache) {
+    if (!audit.runId) {
+      return;
+    }
+
+    try {
+      await this.database.finishCheckRun(audit.runId, {
+        status,
+        counters_count: audit.counters,
+        search_results_count: searchCache.map ? searchCache.map.size : null,
+        triggers_count: audit.triggers,
+        notifications_count: audit.notified,
+        error: audit.error,
+      });
+    } catch (error) {
+      log.error("❌ Failed to record check run", { error });
+    }
+  }
+
+  /**
+   * Deliver a notification through all channels and record the outcome
+   * Channels render it with the template of the project's watch profile;
+   * Telegram chats that shared a location also see their distance to the project
+   * @param {object} project - Verified project data
+   * @param {string} reason - Notification reason
+   * @param {Array<string>} chatIds - Telegram recipients
+   */
+  async deliver(project, reason, chatIds) {
+    const template = this.resolveProfile(project)?.template || null;
+    const distances = await this.getDistances(project);
+    const results = await this.dispatcher.notify(project, reason, {
+      chatIds,
+      template,
+      distances,
+    });
+
+    for (const { channel, ok } of results) {
+      this.metrics.inc("notifications_total", {
+        channel,
+        reason,
+        status: ok ? "sent" : "failed",
+      });
+    }
+  }
+
+  /**
+   * Deliver the "while you were away" summary of projects that opened during downtime
+   * Each Telegram chat only receives the projects matching its filters
+   * @param {Array<object>} projects - Verified projects (with `reason`)
+   * @param {string|null} since - Last time counts were recorded before the restart (SQLite UTC)
+   * @returns {Promise<Map<number, number>>} Recipient count per resource ID
+   * @throws {Error} If no channel delivered the summary
+   */
+  async deliverCatchUp(projects, since) {
+    const projectsByChat = new Map();
+    const recipientCounts = new Map();
+
+    for (const project of projects) {
+      const distances = await this.getDistances(project);
+      const recipients = await this.getRecipients(project);
+      recipientCounts.set(project.resource_id, recipients.length);
+
+      for (const chatId of recipients) {
+        if (!projectsByChat.has(chatId)) {
+          projectsByChat.set(chatId, []);
+        }
+        projectsByChat
+          .get(chatId)
+          .push(
+            distances.has(chatId)
+              ? { ...project, distance_km: distances.get(chatId) }
+              : project
+          );
+      }
+    }
+
+    const results = await this.dispatcher.notifySummary(projects, {
+      projectsByChat,
+      since: since ? Database.fromSqlTime(since) : null,
+    });
+
+    for (const { channel, ok } of results) {
+      this.metrics.inc("notifications_total", {
+        channel,
+        reason: "catch_up",
+        status: ok ? "sent" : "failed",
+      });
+    }
+
+    if (!results.some(({ ok }) => ok)) {
+      throw new Error("Catch-up summary was not delivered by any channel");
+    }
+
+    log.info(
+      `📤 Catch-up summary sent: ${projects.length} project(s), ${projectsByChat.size} chat(s)`
+    );
+    return recipientCounts;
+  }
+
+  /**
+   * Resolve alert recipients for a project
+   * Admins always receive alerts; subscribers only when their filters and geofence match
+   * @param {object} project - Verified project data
+   * @returns {Promise<Array<string>>} Unique chat IDs
+   */
+  async getRecipients(project) {
+    const subscribers = await this.database.getSubscribers();
+    const matching = subscribers
+      .filter((subscriber) => Subscriptions.matches(subscriber, project))
+      .map((subscriber) => subscriber.chat_id);
+
+    return [...new Set([...this.notifier.adminIds, ...matching])];
+  }
+
+  /**
+   * Distance from every chat's shared location (or polygon) to a project
+   * @param {object} project - Verified project data
+   * @returns {Promise<Map<string, number>>} Distance in km keyed by chat ID
+   */
+  async getDistances(project) {
+    const distances = new Map();
+
+    for (const location of await this.database.getLocations()) {
+      const distance = Subscriptions.distanceKm(location, project);
+      if (distance !== null) {
+        distances.set(location.chat_id, distance);
+      }
+    }
+
+    return distances;
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown() {
+    log.info("🛑 Shutting down bot...");
+
+    await this.stop();
+    log.info("✅ Database connection closed");
+    log.info("👋 Goodbye!");
+
+    process.exit(0);
+  }
+
+  /**
+   * Stop schedulers and servers and close the database (without exiting)
+   */
+  async stop() {
+    if (this.checkTimerId) {
+      clearInterval(this.checkTimerId);
+    }
+
+    if (this.indexTimerId) {
+      clearInterval(this.indexTimerId);
+    }
+
+    if (this.unwatchConfig) {
+      this.unwatchConfig();
+    }
+
+    if (this.digest) {
+      this.digest.stop();
+    }
+
+    if (this.commands) {
+      await this.commands.stop();
+    }
+
+    if (this.healthServer) {
+      await this.healthServer.stop();
+    }
+
+    if (this.apiServer) {
+      await this.apiServer.stop();
+    }
+
+    await this.database.close();
+  }
+}
+
+export default AqarBot;
@@ -0,0 +1,295 @@
+import Scraper from "../scraper.js";
+import I18n from "../i18n.js";
+
+// Reasons with their own header (anything else gets the "available" header)
+const HEADER_REASONS = [
+  "available",
+  "restocked",
+  "increased",
+  "sold_out",
+  "price_changed",
+  "new_project",
+];
+
+/**
+ * Base class for notification channels
+ * Every channel receives the same verified project payload built by runCheck
+ */
+class Channel {
+  /**
+   * @param {string} name - Channel name used in logs (e.g. 'telegram', 'webhook')
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a project notification
+   * A brand-new project the Search API does not know yet is sent as
+   * `new_project` with only resource_id, available_units_count and
+   * `details_pending: true`; its full alert follows once it is indexed
+   * @param {object} project - Verified project data
+   * @param {string} reason - Notification reason ('available', 'new_project', 'restocked', 'increased', 'sold_out' or 'price_changed')
+   * @param {object} [context] - Delivery context (e.g. Telegram chatIds, profile template)
+   */
+  async send(project, reason, context = {}) {
+    throw new Error(`Channel '${this.name}' does not implement send()`);
+  }
+
+  /**
+   * Deliver a summary of several projects ("while you were away")
+   * Falls back to one alert per project for channels without a summary format
+   * @param {Array<object>} projects - Verified projects, each with its `reason`
+   * @param {object} [context] - Delivery context (since, projectsByChat)
+   */
+  async sendSummary(projects, context = {}) {
+    for (const project of projects) {
+      await this.send(project, project.reason, context);
+    }
+  }
+
+  /**
+   * Deliver an operational error (optional, ignored by default)
+   * @param {string} errorMessage - Error message
+   */
+  async sendError(errorMessage) {}
+
+  /**
+   * Get the message header for a notification reason
+   * A watch profile template may override the header per reason
+   * @param {string} reason - Notification reason
+   * @param {object|null} [template] - Profile template ({ label, headers })
+   * @param {string} [locale] - Locale code (see I18n)
+   * @returns {string} Header text
+   */
+  _getHeader(reason, template = null, locale = I18n.defaultLocale) {
+    const custom = I18n.pick(template?.headers?.[reason], locale);
+    if (custom) {
+      return custom;
+    }
+
+    return I18n.t(
+      locale,
+      HEADER_REASONS.includes(reason) ? `header.${reason}` : "header.available"
+    );
+  }
+
+  /**
+   * Format location as "city - region"
+   * @param {object} project - Project data
+   * @returns {string} Location string (empty if unknown)
+   */
+  _formatLocation(project) {
+    return [project.city, project.region].filter(Boolean).join(" - ");
+  }
+
+  /**
+   * Format a plain-text notification (for channels without HTML support)
+   * @param {object} project - Project data
+   * @param {string} reason - Notification reason
+   * @param {object|null} [template] - Profile template ({ label, headers })
+   * @param {string} [locale] - Locale code
+   * @returns {string} Plain-text message
+   */
+  _formatPlainText(
+    project,
+    reason,
+    template = null,
+    locale = I18n.defaultLocale
+  ) {
+    const t = (key, params) => I18n.t(locale, key, params);
+    const lines = [this._getHeader(reason, template, locale), ""];
+    const location = this._formatLocation(project);
+    const label = I18n.pick(template?.label, locale);
+
+    lines.push(
+      `📍 ${t("alert.name")}: ${project.project_name || project.resource_id}`
+    );
+    if (label) {
+      lines.push(`🏷 ${t("alert.category")}: ${label}`);
+    }
+    if (location) {
+      lines.push(`🌍 ${t("alert.location")}: ${location}`);
+    }
+    if (project.previous_price) {
+      lines.push(
+        `💰 ${t("alert.price")}: ${this._formatPriceChange(project, locale)}`
+      );
+    } else if (project.min_non_bene_price) {
+      lines.push(
+        `💰 ${t("alert.price")}: ${this._formatNumber(
+          project.min_non_bene_price,
+          true,
+          locale
+        )}`
+      );
+    }
+    if (reason === "sold_out") {
+      lines.push(`⛔️ ${t("alert.units")}: ${t("units.sold_out")}`);
+    } else if (!project.available_units_count) {
+      lines.push(`⏳ ${t("alert.units")}: ${t("units.not_released")}`);
+    } else {
+      lines.push(
+        `⚡️ ${t("alert.units")}: ${t("units.count", {
+          count: project.available_units_count,
+        })}`
+      );
+    }
+
+    const mapsLink = Scraper.generateMapsLink(
+      project.location_lat,
+      project.location_lon
+    );
+    if (mapsLink) {
+      lines.push(`🗺 ${mapsLink}`);
+    }
+    lines.push(`🔗 ${Scraper.generateProjectUrl(project.resource_id)}`);
+    if (project.details_pending) {
+      lines.push("", t("unknown.note"));
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Format a plain-text "while you were away" summary
+   * @param {Array<object>} projects - Verified projects
+   * @param {Date|null} [since] - Start of the downtime
+   * @param {string} [locale] - Locale code
+   * @returns {string} Plain-text message
+   */
+  _formatPlainSummary(projects, since = null, locale = I18n.defaultLocale) {
+    const lines = [this._getSummaryHeader(projects.length, locale), ""];
+    if (since) {
+      lines.push(
+        I18n.t(locale, "summary.since", { time: this._formatTime(since) }),
+        ""
+      );
+    }
+
+    for (const project of projects) {
+      const location = this._formatLocation(project);
+      lines.push(
+        `📍 ${project.project_name || project.resource_id}${
+          location ? ` - ${location}` : ""
+        } (${I18n.t(locale, "units.count", {
+          count: project.available_units_count,
+        })})`
+      );
+      lines.push(`🔗 ${Scraper.generateProjectUrl(project.resource_id)}`);
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Get the "while you were away" header
+   * @param {number} count - Number of projects
+   * @param {string} [locale] - Locale code
+   * @returns {string} Header text
+   */
+  _getSummaryHeader(count, locale = I18n.defaultLocale) {
+    return I18n.t(locale, "summary.header", { count });
+  }
+
+  /**
+   * Format a duration in days, hours and minutes
+   * @param {number} seconds - Duration in seconds
+   * @param {string} [locale] - Locale code
+   * @returns {string} Formatted duration, e.g. "2 ي 3 س 15 د" or "2d 3h 15m"
+   */
+  _formatDuration(seconds, locale = I18n.defaultLocale) {
+    const totalMinutes = Math.max(Math.round(seconds / 60), 0);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    const parts = [];
+    if (days) parts.push(I18n.t(locale, "duration.days", { n: days }));
+    if (hours) parts.push(I18n.t(locale, "duration.hours", { n: hours }));
+    if (minutes || parts.length === 0) {
+      parts.push(I18n.t(locale, "duration.minutes", { n: minutes }));
+    }
+    return parts.join(" ");
+  }
+
+  /**
+   * Format a Date in Riyadh time
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  _formatTime(date) {
+    return date.toLocaleString("en-US", { timeZone: "Asia/Riyadh" });
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    const map = {
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;",
+    };
+    return text?.replace(/[&<>"']/g, (m) => map[m]) || text;
+  }
+
+  /**
+   * Format a distance in km
+   * @param {number} km - Distance in km
+   * @param {string} [locale] - Locale code
+   * @returns {string} Formatted distance, e.g. "١٢٫٣ كم" or "12.3 km"
+   */
+  _formatDistance(km, locale = I18n.defaultLocale) {
+    return I18n.t(locale, "distance.km", {
+      km: this._formatNumber(Math.round(km * 10) / 10, false, locale),
+    });
+  }
+
+  /**
+   * Format a price change as "old ← new (±x٪)" ("old → new (±x%)" in English)
+   * @param {object} project - Project data with previous_price and min_non_bene_price
+   * @param {string} [locale] - Locale code
+   * @returns {string} Formatted price change
+   */
+  _formatPriceChange(project, locale = I18n.defaultLocale) {
+    const percent =
+      ((project.min_non_bene_price - project.previous_price) /
+        project.previous_price) *
+      100;
+    const rounded = Math.round(percent * 10) / 10;
+
+    return `${this._formatNumber(
+      project.previous_price,
+      true,
+      locale
+    )} ${I18n.t(locale, "price.arrow")} ${this._formatNumber(
+      project.min_non_bene_price,
+      true,
+      locale
+    )} (${percent < 0 ? "📉" : "📈"} ${I18n.t(locale, "percent", {
+      value: `${rounded > 0 ? "+" : ""}${this._formatNumber(
+        rounded,
+        false,
+        locale
+      )}`,
+    })})`;
+  }
+
+  /**
+   * Format a number for a locale (Arabic digits by default)
+   * @param {number} num - Number to format
+   * @param {boolean} isCurrency - Whether to format as currency
+   * @param {string} [locale] - Locale code
+   * @returns {string} Formatted number string
+   */
+  _formatNumber(num, isCurrency = false, locale = I18n.defaultLocale) {
+    return I18n.formatNumber(num, locale, isCurrency);
+  }
+}
+
+export default Channel;
@@ -0,0 +1,50 @@
+import axios from "axios";
+import Channel from "./channel.js";
+
+/**
+ * Discord / Slack incoming webhook
+ * Both accept a plain-text message: Discord as `content`, Slack as `text`
+ */
+class ChatWebhookChannel extends Channel {
+  /**
+   * @param {string} flavor - 'discord' or 'slack'
+   * @param {string} url - Incoming webhook URL
+   */
+  constructor(flavor, url) {
+    super(flavor);
+    this.flavor = flavor;
+    this.url = url;
+  }
+
+  /**
+   * Post the formatted alert to the chat webhook
+   * @param {object} project - Verified project data
+   * @param {string} reason - Notification reason
+   * @param {object} [context]
+   * @param {object} [context.template] - Watch profile template
+   */
+  async send(project, reason, { template = null } = {}) {
+    await this._post(this._formatPlainText(project, reason, template));
+  }
+
+  /**
+   * Post a "while you were away" summary
+   * @param {Array<object>} projects - Verified projects
+   * @param {object} [context]
+   * @param {Date|null} [context.since] - Start of the downtime
+   */
+  async sendSummary(projects, { since = null } = {}) {
+    await this._post(this._formatPlainSummary(projects, since));
+  }
+
+  /**
+   * Post a plain-text message
+   * @param {string} text - Message text
+   */
+  async _post(text) {
+    const body = this.flavor === "discord" ? { content: text } : { text };
+    await axios.post(this.url, body, { timeout: 10000 });
+  }
+}
+
+export default ChatWebhookChannel;
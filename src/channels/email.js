@@ -0,0 +1,67 @@
+import nodemailer from "nodemailer";
+import Channel from "./channel.js";
+
+/**
+ * SMTP email channel
+ */
+class EmailChannel extends Channel {
+  /**
+   * @param {object} smtp - nodemailer SMTP transport options (host, port, secure, auth)
+   * @param {string} from - Sender address
+   * @param {Array<string>} to - Recipient addresses
+   */
+  constructor(smtp, from, to) {
+    super("email");
+    this.transporter = nodemailer.createTransport(smtp);
+    this.from = from;
+    this.to = to;
+  }
+
+  /**
+   * Email the formatted alert to all recipients
+   * @param {object} project - Verified project data
+   * @param {string} reason - Notification reason
+   * @param {object} [context]
+   * @param {object} [context.template] - Watch profile template
+   */
+  async send(project, reason, { template = null } = {}) {
+    const text = this._formatPlainText(project, reason, template);
+    const subject = `${this._getHeader(reason, template)} ${
+      project.project_name || project.resource_id
+    }`;
+
+    await this._sendMail(subject, text);
+  }
+
+  /**
+   * Email a "while you were away" summary
+   * @param {Array<object>} projects - Verified projects
+   * @param {object} [context]
+   * @param {Date|null} [context.since] - Start of the downtime
+   */
+  async sendSummary(projects, { since = null } = {}) {
+    await this._sendMail(
+      this._getSummaryHeader(projects.length),
+      this._formatPlainSummary(projects, since)
+    );
+  }
+
+  /**
+   * Send a plain-text email with an RTL HTML alternative
+   * @param {string} subject - Email subject
+   * @param {string} text - Plain-text body
+   */
+  async _sendMail(subject, text) {
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.to.join(", "),
+      subject,
+      text,
+      html: `<div dir="rtl" style="white-space: pre-line">${this._escapeHtml(
+        text
+      )}</div>`,
+    });
+  }
+}
+
+export default EmailChannel;
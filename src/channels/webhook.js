@@ -0,0 +1,84 @@
+import axios from "axios";
+import Channel from "./channel.js";
+import Scraper from "../scraper.js";
+
+/**
+ * Generic JSON HTTP webhook (e.g. internal dashboard)
+ * POSTs { event, project, project_url, maps_url, sent_at } for every alert,
+ * { event: 'catch_up', since, projects, sent_at } for catch-up summaries
+ * and { event: 'error', message, sent_at } for operational errors
+ */
+class WebhookChannel extends Channel {
+  /**
+   * @param {string} url - Webhook URL
+   * @param {string} [token] - Optional bearer token sent in the Authorization header
+   */
+  constructor(url, token = null) {
+    super("webhook");
+    this.url = url;
+    this.token = token;
+  }
+
+  /**
+   * POST the verified project payload
+   * @param {object} project - Verified project data
+   * @param {string} reason - Notification reason
+   */
+  async send(project, reason) {
+    await this._post({
+      event: reason,
+      project,
+      project_url: Scraper.generateProjectUrl(project.resource_id),
+      maps_url: Scraper.generateMapsLink(
+        project.location_lat,
+        project.location_lon
+      ),
+      sent_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * POST a summary of projects that opened while the bot was down
+   * @param {Array<object>} projects - Verified projects, each with its `reason`
+   * @param {object} [context]
+   * @param {Date|null} [context.since] - Start of the downtime
+   */
+  async sendSummary(projects, { since = null } = {}) {
+    await this._post({
+      event: "catch_up",
+      since: since ? since.toISOString() : null,
+      projects: projects.map((project) => ({
+        ...project,
+        project_url: Scraper.generateProjectUrl(project.resource_id),
+      })),
+      sent_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * POST an operational error
+   * @param {string} errorMessage - Error message
+   */
+  async sendError(errorMessage) {
+    await this._post({
+      event: "error",
+      message: errorMessage,
+      sent_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * POST a JSON body to the webhook
+   * @param {object} body - Request body
+   */
+  async _post(body) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    await axios.post(this.url, body, { headers, timeout: 10000 });
+  }
+}
+
+export default WebhookChannel;
@@ -0,0 +1,162 @@
+import logger from "./logger.js";
+
+const log = logger.child({ module: "circuit" });
+
+/**
+ * Circuit breaker for a single API endpoint
+ *
+ * closed    → requests flow normally; consecutive failures are counted
+ * open      → requests are rejected immediately until resetTimeout elapses
+ * half_open → one trial request is let through (others are rejected until it
+ *             finishes); any response closes, failure re-opens
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Endpoint name used in logs (e.g. 'counters')
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures before opening
+   * @param {number} [options.resetTimeout=300000] - Time in ms to stay open before a trial request
+   * @param {Function} [onStateChange] - Called with (name, newState, previousState)
+   */
+  constructor(
+    name,
+    { failureThreshold = 5, resetTimeout = 300000 } = {},
+    onStateChange = null
+  ) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.onStateChange = onStateChange;
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a request may be made, moving open → half_open after the timeout
+   * The caller let through in half_open owns the trial and must end it with
+   * recordSuccess(), recordFailure() or endTrial()
+   * @returns {boolean} True if the request is allowed
+   */
+  canRequest() {
+    if (this.state === "half_open") {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+      return true;
+    }
+
+    if (this.state === "open") {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        return false;
+      }
+      this._transition("half_open");
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Build the error thrown when a request is rejected by the circuit
+   * @returns {Error} Error with code 'CIRCUIT_OPEN'
+   */
+  createOpenError() {
+    const error = new Error(
+      this.state === "half_open"
+        ? `Circuit half-open for ${this.name} API (trial request in progress)`
+        : `Circuit open for ${this.name} API (retry after ${new Date(
+            this.openedAt + this.resetTimeout
+          ).toISOString()})`
+    );
+    error.code = "CIRCUIT_OPEN";
+    return error;
+  }
+
+  /**
+   * Record a request that got a response (including client errors like 404)
+   */
+  recordSuccess() {
+    this.trialInFlight = false;
+    this.failures = 0;
+    if (this.state !== "closed") {
+      this._transition("closed");
+    }
+  }
+
+  /**
+   * Record a failed request (after retries were exhausted)
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.trialInFlight = false;
+    this.failures++;
+    this.lastFailure = error.message;
+
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this._transition("open");
+    }
+  }
+
+  /**
+   * End a half-open trial that says nothing about the endpoint (the request
+   * was never sent), so the next caller can try
+   */
+  endTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Get a snapshot of the breaker state (for logs and /status)
+   * @returns {object} State snapshot
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      lastFailure: this.lastFailure,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt:
+        this.state === "open"
+          ? new Date(this.openedAt + this.resetTimeout)
+          : null,
+    };
+  }
+
+  /**
+   * Change state and notify the listener
+   * @param {string} newState - 'closed', 'open' or 'half_open'
+   */
+  _transition(newState) {
+    const previousState = this.state;
+    if (previousState === newState) {
+      return;
+    }
+
+    this.state = newState;
+
+    if (newState === "open") {
+      log.warn(
+        `🔌 Circuit for ${this.name} API opened after ${
+          this.failures
+        } failure(s) - pausing for ${this.resetTimeout / 1000}s`
+      );
+    } else if (newState === "half_open") {
+      log.info(`🔌 Circuit for ${this.name} API half-open - trying again`);
+    } else {
+      log.info(`🔌 Circuit for ${this.name} API closed - endpoint recovered`);
+    }
+
+    if (this.onStateChange) {
+      this.onStateChange(this.name, newState, previousState);
+    }
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,997 @@
+import Scraper from "./scraper.js";
+import Subscriptions from "./subscriptions.js";
+import Database from "./database.js";
+import Geo from "./geo.js";
+import I18n from "./i18n.js";
+import logger from "./logger.js";
+
+const log = logger.child({ module: "commands" });
+
+const PROJECTS_PAGE_SIZE = 10;
+const HISTORY_ROWS = 15;
+const NEAR_RESULTS = 10;
+const DEFAULT_RADIUS_KM = 25;
+
+/**
+ * Telegram command interface for querying and controlling the bot
+ * Admin commands are only answered for chats listed in TELEGRAM_ADMIN_IDS,
+ * subscription commands are open to everyone
+ */
+class CommandHandler {
+  /**
+   * @param {object} app - Running AqarBot instance (database, scraper, notifier, runCheck)
+   */
+  constructor(app) {
+    this.app = app;
+    this.notifier = app.notifier;
+    this.bot = app.notifier.bot;
+  }
+
+  /**
+   * Register command handlers and start polling for updates
+   */
+  async start() {
+    this._register(/^\/status(?:@\w+)?$/, (msg) => this.handleStatus(msg));
+    this._register(/^\/projects(?:@\w+)?(?:\s+(\d+))?$/, (msg, match) =>
+      this.handleProjects(msg.chat.id, parseInt(match[1] || "1", 10))
+    );
+    this._register(/^\/project(?:@\w+)?(?:\s+(\d+))?$/, (msg, match) =>
+      this.handleProject(msg, match[1])
+    );
+    this._register(/^\/check(?:@\w+)?$/, (msg) => this.handleCheck(msg));
+    this._register(/^\/history(?:@\w+)?(?:\s+(\d+))?$/, (msg, match) =>
+      this.handleHistory(msg, match[1])
+    );
+    this._register(/^\/digest(?:@\w+)?(?:\s+(daily|weekly))?$/, (msg, match) =>
+      this.handleDigest(msg, match[1] || "daily")
+    );
+    this._register(
+      /^\/cooldown(?:@\w+)?(?:\s+(\d+))?(?:\s+(\d+|default))?(?:\s+(\d+|default))?$/,
+      (msg, match) => this.handleCooldown(msg, match[1], match[2], match[3])
+    );
+
+    const publicCommand = { adminOnly: false };
+    this._register(
+      /^\/start(?:@\w+)?$/,
+      (msg) => this.handleStart(msg),
+      publicCommand
+    );
+    this._register(
+      /^\/subscribe(?:@\w+)?(?:\s+(.+))?$/,
+      (msg, match) => this.handleSubscribe(msg, match[1]),
+      publicCommand
+    );
+    this._register(
+      /^\/unsubscribe(?:@\w+)?$/,
+      (msg) => this.handleUnsubscribe(msg),
+      publicCommand
+    );
+    this._register(
+      /^\/mysubscription(?:@\w+)?$/,
+      (msg) => this.handleMySubscription(msg),
+      publicCommand
+    );
+    this._register(
+      /^\/radius(?:@\w+)?(?:\s+(\S+))?$/,
+      (msg, match) => this.handleRadius(msg, match[1]),
+      publicCommand
+    );
+    this._register(
+      /^\/area(?:@\w+)?(?:\s+([\s\S]+))?$/,
+      (msg, match) => this.handleArea(msg, match[1]),
+      publicCommand
+    );
+    this._register(
+      /^\/clearlocation(?:@\w+)?$/,
+      (msg) => this.handleClearLocation(msg),
+      publicCommand
+    );
+    this._register(
+      /^\/near(?:@\w+)?$/,
+      (msg) => this.handleNear(msg),
+      publicCommand
+    );
+    this._register(
+      /^\/lang(?:@\w+)?(?:\s+(\S+))?$/,
+      (msg, match) => this.handleLang(msg, match[1]),
+      publicCommand
+    );
+
+    this.bot.on("location", (msg) =>
+      this._execute(msg, () => this.handleLocation(msg))
+    );
+    this.bot.on("callback_query", (query) => this._handleCallback(query));
+    this.bot.on("polling_error", (error) => {
+      log.error("[Telegram Polling Error]", { error });
+    });
+
+    await this.bot
+      .setMyCommands([
+        { command: "status", description: "حالة البوت وآخر فحص" },
+        { command: "projects", description: "المشاريع المتاحة حالياً" },
+        { command: "project", description: "تفاصيل مشروع: /project <id>" },
+        { command: "check", description: "تشغيل فحص فوري" },
+        { command: "history", description: "سجل التوفر: /history <id>" },
+        { command: "digest", description: "الملخص الآن: /digest weekly" },
+        {
+          command: "cooldown",
+          description: "تهدئة التنبيهات: /cooldown <id> <دقائق> <فحوصات>",
+        },
+        { command: "subscribe", description: "الاشتراك في التنبيهات" },
+        { command: "unsubscribe", description: "إلغاء الاشتراك" },
+        { command: "mysubscription", description: "عرض اشتراكك الحالي" },
+        { command: "near", description: "أقرب المشاريع المتاحة لموقعك" },
+        { command: "radius", description: "نطاق التنبيهات بالكيلومتر" },
+        { command: "area", description: "تحديد منطقة التنبيهات بمضلع" },
+        { command: "clearlocation", description: "حذف الموقع والنطاق" },
+        { command: "lang", description: "لغة التنبيهات / Alert language" },
+      ])
+      .catch((error) => {
+        log.error("⚠️  Failed to register bot commands", { error });
+      });
+
+    await this.bot.startPolling();
+  }
+
+  /**
+   * Stop polling for updates
+   */
+  async stop() {
+    if (this.bot.isPolling()) {
+      await this.bot.stopPolling();
+    }
+  }
+
+  /**
+   * Register a text command (restricted to admin chats unless adminOnly is false)
+   * @param {RegExp} pattern - Command pattern
+   * @param {Function} handler - Handler receiving (msg, match)
+   * @param {object} [options]
+   * @param {boolean} [options.adminOnly=true] - Ignore the command from non-admin chats
+   */
+  _register(pattern, handler, { adminOnly = true } = {}) {
+    this.bot.onText(pattern, async (msg, match) => {
+      if (adminOnly && !this._isAdmin(msg.chat.id)) {
+        return;
+      }
+
+      await this._execute(msg, () => handler(msg, match));
+    });
+  }
+
+  /**
+   * Run a message handler, replying with the error if it fails
+   * @param {object} msg - Telegram message
+   * @param {Function} handler - Async handler
+   */
+  async _execute(msg, handler) {
+    try {
+      await handler();
+    } catch (error) {
+      log.error(`❌ Command failed (${msg.text || "location"})`, { error });
+      await this._reply(
+        msg.chat.id,
+        `⚠️ تعذر تنفيذ الأمر\n<code>${this.notifier._escapeHtml(
+          error.message
+        )}</code>`
+      );
+    }
+  }
+
+  /**
+   * Check whether a chat is allowed to use commands
+   * @param {number|string} chatId - Telegram chat ID
+   * @returns {boolean} True if the chat is an admin
+   */
+  _isAdmin(chatId) {
+    return this.notifier.adminIds.includes(String(chatId));
+  }
+
+  /**
+   * /status - last check time, tracked projects and last error
+   * @param {object} msg - Telegram message
+   */
+  async handleStatus(msg) {
+    const { database } = this.app;
+    const total = await database.countProjects();
+    const available = await database.countAvailableProjects();
+
+    let message = `<b>📊 حالة البوت</b>\n\n`;
+    message += `🕒 <b>آخر فحص:</b> ${this._formatTime(this.app.lastCheckAt)}\n`;
+    message += `✅ <b>آخر فحص ناجح:</b> ${this._formatTime(
+      this.app.lastSuccessAt
+    )}\n`;
+    message += `🔄 <b>فحص جارٍ:</b> ${this.app.isChecking ? "نعم" : "لا"}\n`;
+    message += `⏱ <b>الفاصل الزمني:</b> ${this.app.checkInterval} دقيقة\n`;
+    message += `🗂 <b>آخر فهرسة:</b> ${this._formatTime(
+      this.app.lastIndexAt
+    )}\n`;
+    message += `🗂 <b>المشاريع المتتبعة:</b> ${total}\n`;
+    message += `⚡️ <b>المشاريع المتاحة:</b> ${available}\n`;
+
+    message += `\n<b>🔌 حالة الاتصال بالواجهات:</b>\n`;
+    for (const circuit of this.app.scraper.getCircuitStates()) {
+      message += `${this._formatCircuit(circuit)}\n`;
+    }
+
+    if (this.app.lastError) {
+      message += `\n⚠️ <b>آخر خطأ</b> (${this._formatTime(
+        this.app.lastError.at
+      )}):\n<code>${this.notifier._escapeHtml(
+        this.app.lastError.message
+      )}</code>`;
+    } else {
+      message += `\n✅ لا توجد أخطاء`;
+    }
+
+    await this._reply(msg.chat.id, message);
+  }
+
+  /**
+   * /projects [page] - paginated list of available projects
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {number} page - 1-based page number
+   * @param {number} [messageId] - Message to edit instead of sending a new one
+   */
+  async handleProjects(chatId, page, messageId = null) {
+    const { database } = this.app;
+    const total = await database.countAvailableProjects();
+
+    if (total === 0) {
+      await this._reply(chatId, "ℹ️ لا توجد مشاريع متاحة حالياً");
+      return;
+    }
+
+    const pageCount = Math.ceil(total / PROJECTS_PAGE_SIZE);
+    const currentPage = Math.min(Math.max(page, 1), pageCount);
+    const projects = await database.getAvailableProjects(
+      PROJECTS_PAGE_SIZE,
+      (currentPage - 1) * PROJECTS_PAGE_SIZE
+    );
+
+    let message = `<b>🏘 المشاريع المتاحة</b> (${currentPage}/${pageCount})\n\n`;
+    for (const project of projects) {
+      const name = project.project_name
+        ? this.notifier._escapeHtml(project.project_name)
+        : "بدون اسم";
+      message += `• <b>${name}</b>\n`;
+      message += `   <code>${project.resource_id}</code> — ${project.available_units_count} وحدة`;
+      if (project.city) {
+        message += ` — ${this.notifier._escapeHtml(project.city)}`;
+      }
+      message += `\n`;
+    }
+
+    const navigation = [];
+    if (currentPage > 1) {
+      navigation.push({
+        text: "⬅️ السابق",
+        callback_data: `projects:${currentPage - 1}`,
+      });
+    }
+    if (currentPage < pageCount) {
+      navigation.push({
+        text: "التالي ➡️",
+        callback_data: `projects:${currentPage + 1}`,
+      });
+    }
+
+    const options = {
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+      reply_markup: { inline_keyboard: navigation.length ? [navigation] : [] },
+    };
+
+    if (messageId) {
+      await this.bot.editMessageText(message, {
+        chat_id: chatId,
+        message_id: messageId,
+        ...options,
+      });
+    } else {
+      await this.bot.sendMessage(chatId, message, options);
+    }
+  }
+
+  /**
+   * /project <id> - full stored metadata for one project
+   * @param {object} msg - Telegram message
+   * @param {string} [resourceIdArg] - Resource ID argument
+   */
+  async handleProject(msg, resourceIdArg) {
+    if (!resourceIdArg) {
+      await this._reply(
+        msg.chat.id,
+        "ℹ️ الاستخدام: <code>/project 1004</code>"
+      );
+      return;
+    }
+
+    const resourceId = parseInt(resourceIdArg, 10);
+    const project = await this.app.database.getProject(resourceId);
+
+    if (!project) {
+      await this._reply(
+        msg.chat.id,
+        `❌ المشروع <code>${resourceId}</code> غير موجود في قاعدة البيانات`
+      );
+      return;
+    }
+
+    let message = `<b>📋 تفاصيل المشروع ${resourceId}</b>\n\n`;
+    for (const [key, value] of Object.entries(project)) {
+      const display =
+        value === null || value === ""
+          ? "—"
+          : this.notifier._escapeHtml(String(value));
+      message += `<b>${key}:</b> ${display}\n`;
+    }
+
+    const mapsLink = Scraper.generateMapsLink(
+      project.location_lat,
+      project.location_lon
+    );
+    if (mapsLink) {
+      message += `\n🗺 <a href="${mapsLink}">عرض على خرائط جوجل</a>`;
+    }
+
+    await this.bot.sendMessage(msg.chat.id, message, {
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "🔗 عرض المشروع على سكني",
+              url: Scraper.generateProjectUrl(resourceId),
+            },
+          ],
+        ],
+      },
+    });
+  }
+
+  /**
+   * /check - run a check immediately
+   * @param {object} msg - Telegram message
+   */
+  async handleCheck(msg) {
+    if (this.app.isChecking) {
+      await this._reply(msg.chat.id, "⏳ يوجد فحص قيد التنفيذ بالفعل");
+      return;
+    }
+
+    await this._reply(msg.chat.id, "🔍 جارٍ تشغيل الفحص...");
+    await this.app.runCheck();
+
+    if (this.app.lastError && this.app.lastError.at >= this.app.lastCheckAt) {
+      await this._reply(
+        msg.chat.id,
+        `❌ فشل الفحص\n<code>${this.notifier._escapeHtml(
+          this.app.lastError.message
+        )}</code>`
+      );
+    } else {
+      await this._reply(msg.chat.id, "✅ اكتمل الفحص");
+    }
+  }
+
+  /**
+   * /history [id] - unit count history of a project, or this week's releases
+   * @param {object} msg - Telegram message
+   * @param {string} [resourceIdArg] - Resource ID argument
+   */
+  async handleHistory(msg, resourceIdArg) {
+    const { database } = this.app;
+
+    if (!resourceIdArg) {
+      await this._replyWeeklyReleases(msg.chat.id);
+      return;
+    }
+
+    const resourceId = parseInt(resourceIdArg, 10);
+    const history = await database.getUnitCountHistory(
+      resourceId,
+      HISTORY_ROWS
+    );
+
+    if (history.length === 0) {
+      await this._reply(
+        msg.chat.id,
+        `ℹ️ لا يوجد سجل للمشروع <code>${resourceId}</code>`
+      );
+      return;
+    }
+
+    const project = await database.getProject(resourceId);
+    const periods = await database.getAvailabilityPeriods(resourceId);
+    const average = await database.getAverageTimeToSellOut(resourceId);
+
+    let message = `<b>📈 سجل توفر المشروع ${resourceId}</b>\n`;
+    if (project?.project_name) {
+      message += `${this.notifier._escapeHtml(project.project_name)}\n`;
+    }
+    message += `\n`;
+
+    for (const row of history) {
+      const previous = row.previous_count === null ? "—" : row.previous_count;
+      message += `<code>${this._formatSqlTime(
+        row.recorded_at
+      )}</code>  ${previous} → ${row.new_count}\n`;
+    }
+
+    const openPeriod = periods.find((period) => period.closed_at === null);
+    const lastClosed = periods
+      .filter((period) => period.closed_at !== null)
+      .pop();
+
+    if (openPeriod) {
+      message += `\n🟢 <b>متاح منذ:</b> ${this._formatSqlTime(
+        openPeriod.opened_at
+      )}`;
+    }
+
+    if (lastClosed) {
+      message += `\n⏳ <b>آخر فترة توفر:</b> ${this.notifier._formatDuration(
+        lastClosed.duration_seconds
+      )} (نفدت ${this._formatSqlTime(lastClosed.closed_at)})`;
+    }
+
+    if (average.periods > 0) {
+      message += `\n📊 <b>متوسط مدة النفاد:</b> ${this.notifier._formatDuration(
+        average.averageSeconds
+      )} (${average.periods} فترة)`;
+    }
+
+    await this._reply(msg.chat.id, message);
+  }
+
+  /**
+   * /digest [daily|weekly] - send the digest for the period ending now to this chat
+   * @param {object} msg - Telegram message
+   * @param {string} kind - 'daily' or 'weekly'
+   */
+  async handleDigest(msg, kind) {
+    if (!this.app.digest) {
+      await this._reply(
+        msg.chat.id,
+        "ℹ️ الملخص غير مفعل (DIGEST_DAILY_TIME / DIGEST_WEEKLY_TIME)"
+      );
+      return;
+    }
+
+    await this.app.digest.send(kind, [String(msg.chat.id)]);
+  }
+
+  /**
+   * /cooldown <id> [minutes|default] [checks|default] - show or override a
+   * project's alert cooldown and re-arm rule
+   * @param {object} msg - Telegram message
+   * @param {string} [resourceIdArg] - Resource ID
+   * @param {string} [cooldownArg] - Cooldown in minutes or 'default'
+   * @param {string} [rearmArg] - Checks at 0 before re-arming or 'default'
+   */
+  async handleCooldown(msg, resourceIdArg, cooldownArg, rearmArg) {
+    if (!resourceIdArg) {
+      await this._reply(
+        msg.chat.id,
+        "ℹ️ الاستخدام: <code>/cooldown 1004 60 5</code>\n" +
+          "(60 دقيقة بين التنبيهات، و5 فحوصات عند الصفر قبل إعادة التفعيل)\n" +
+          "للرجوع للإعداد العام: <code>/cooldown 1004 default default</code>"
+      );
+      return;
+    }
+
+    const { database } = this.app;
+    const resourceId = parseInt(resourceIdArg, 10);
+    let project = await database.getProject(resourceId);
+
+    if (!project) {
+      await this._reply(
+        msg.chat.id,
+        `❌ المشروع <code>${resourceId}</code> غير موجود في قاعدة البيانات`
+      );
+      return;
+    }
+
+    if (cooldownArg) {
+      const parse = (value, current) =>
+        value === undefined
+          ? current
+          : value === "default"
+          ? null
+          : parseInt(value, 10);
+
+      await database.setAlertOverrides(resourceId, {
+        cooldown_minutes: parse(cooldownArg, project.cooldown_minutes),
+        rearm_checks: parse(rearmArg, project.rearm_checks),
+      });
+      project = await database.getProject(resourceId);
+    }
+
+    const describe = (override, fallback, unit) =>
+      override === null
+        ? `${fallback} ${unit} (افتراضي)`
+        : `${override} ${unit}`;
+
+    let message = `<b>🔇 تهدئة التنبيهات للمشروع ${resourceId}</b>\n\n`;
+    message += `⏱ <b>فترة التهدئة:</b> ${describe(
+      project.cooldown_minutes,
+      this.app.cooldownMinutes,
+      "دقيقة"
+    )}\n`;
+    message += `🔁 <b>فحوصات عند الصفر قبل إعادة التفعيل:</b> ${describe(
+      project.rearm_checks,
+      this.app.rearmChecks,
+      "فحص"
+    )}\n`;
+    if (project.last_alerted_at) {
+      message += `🕒 <b>آخر تنبيه:</b> ${this._formatSqlTime(
+        project.last_alerted_at
+      )}\n`;
+    }
+
+    await this._reply(msg.chat.id, message);
+  }
+
+  /**
+   * Reply with the release events of the last 7 days
+   * @param {number|string} chatId - Telegram chat ID
+   */
+  async _replyWeeklyReleases(chatId) {
+    const to = new Date();
+    const from = new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const events = await this.app.database.getReleaseEvents(from, to);
+
+    if (events.length === 0) {
+      await this._reply(
+        chatId,
+        "ℹ️ لم تُطرح قطع جديدة خلال آخر 7 أيام\nلسجل مشروع محدد: <code>/history 1004</code>"
+      );
+      return;
+    }
+
+    const totalReleased = events.reduce((sum, e) => sum + e.released, 0);
+    const average = await this.app.database.getAverageTimeToSellOut();
+
+    let message = `<b>📈 الطرح خلال آخر 7 أيام</b>\n\n`;
+    message += `🧮 <b>إجمالي القطع المطروحة:</b> ${totalReleased}\n`;
+    message += `🔔 <b>عدد مرات الطرح:</b> ${events.length}\n`;
+    if (average.periods > 0) {
+      message += `📊 <b>متوسط مدة النفاد:</b> ${this.notifier._formatDuration(
+        average.averageSeconds
+      )}\n`;
+    }
+    message += `\n`;
+
+    for (const event of events.slice(-HISTORY_ROWS)) {
+      const name = event.project_name
+        ? this.notifier._escapeHtml(event.project_name)
+        : event.resource_id;
+      message += `<code>${this._formatSqlTime(
+        event.recorded_at
+      )}</code>  ${name} (+${event.released})\n`;
+    }
+
+    await this._reply(chatId, message);
+  }
+
+  /**
+   * /start - short introduction to the subscription commands
+   * @param {object} msg - Telegram message
+   */
+  async handleStart(msg) {
+    let message = `<b>👋 أهلاً بك في بوت عقار</b>\n\n`;
+    message += `يرسل البوت تنبيهاً فور توفر قطع جديدة في مشاريع سكني.\n\n`;
+    message += `<b>الاشتراك في جميع التنبيهات:</b>\n<code>/subscribe</code>\n\n`;
+    message += `<b>الاشتراك مع فلاتر:</b>\n`;
+    message += `<code>/subscribe city=الرياض max_price=300000</code>\n`;
+    message += `<code>/subscribe region="منطقة مكة المكرمة"</code>\n\n`;
+    message += `الفلاتر المتاحة: <code>city</code>، <code>region</code>، <code>max_price</code>\n\n`;
+    message += `<b>التنبيه حسب الموقع:</b>\n`;
+    message += `📍 شارك موقعك من تيليجرام ثم حدد النطاق: <code>/radius 20</code>\n`;
+    message += `أو حدد منطقة بمضلع: <code>/area 24.80,46.55 24.80,46.80 24.60,46.80 24.60,46.55</code>\n`;
+    message += `أقرب المشاريع المتاحة: <code>/near</code>\n\n`;
+    message += `🌐 English alerts: <code>/lang en</code>\n\n`;
+    message += `لإلغاء الاشتراك: <code>/unsubscribe</code>`;
+
+    await this._reply(msg.chat.id, message);
+  }
+
+  /**
+   * /subscribe [filters] - create or replace the chat's subscription
+   * @param {object} msg - Telegram message
+   * @param {string} [args] - Filter arguments (city=, region=, max_price=)
+   */
+  async handleSubscribe(msg, args) {
+    let filters;
+    try {
+      filters = Subscriptions.parseFilters(args);
+    } catch (error) {
+      await this._reply(
+        msg.chat.id,
+        `❌ ${this.notifier._escapeHtml(error.message)}\n\n` +
+          `مثال: <code>/subscribe city=الرياض max_price=300000</code>`
+      );
+      return;
+    }
+
+    await this.app.database.upsertSubscriber(msg.chat.id, filters);
+    await this._reply(
+      msg.chat.id,
+      `✅ تم تفعيل الاشتراك\n\n${this._describeFilters(filters)}`
+    );
+  }
+
+  /**
+   * /unsubscribe - remove the chat's subscription
+   * @param {object} msg - Telegram message
+   */
+  async handleUnsubscribe(msg) {
+    const removed = await this.app.database.removeSubscriber(msg.chat.id);
+    await this._reply(
+      msg.chat.id,
+      removed ? "✅ تم إلغاء الاشتراك" : "ℹ️ لا يوجد اشتراك مفعل"
+    );
+  }
+
+  /**
+   * /mysubscription - show the chat's current filters
+   * @param {object} msg - Telegram message
+   */
+  async handleMySubscription(msg) {
+    const subscriber = await this.app.database.getSubscriber(msg.chat.id);
+
+    if (!subscriber) {
+      await this._reply(
+        msg.chat.id,
+        "ℹ️ لا يوجد اشتراك مفعل\nللاشتراك: <code>/subscribe</code>"
+      );
+      return;
+    }
+
+    const location = await this.app.database.getLocation(msg.chat.id);
+    let message = `<b>🔔 اشتراكك الحالي</b>\n\n${this._describeFilters(
+      subscriber
+    )}`;
+    if (location) {
+      message += `\n${this._describeArea(location)}`;
+    }
+
+    await this._reply(msg.chat.id, message);
+  }
+
+  /**
+   * Shared Telegram location - save it as the chat's geofence center
+   * @param {object} msg - Telegram message with a location
+   */
+  async handleLocation(msg) {
+    const { database } = this.app;
+    const current = (await database.getLocation(msg.chat.id)) || {};
+    const location = {
+      latitude: msg.location.latitude,
+      longitude: msg.location.longitude,
+      radius_km: current.radius_km || DEFAULT_RADIUS_KM,
+      polygon: null,
+    };
+
+    await database.upsertLocation(msg.chat.id, location);
+    await this._reply(
+      msg.chat.id,
+      `✅ تم حفظ موقعك\n\n${this._describeArea(location)}\n\n` +
+        `لتغيير النطاق: <code>/radius 10</code>\nأقرب المشاريع: <code>/near</code>`
+    );
+  }
+
+  /**
+   * /radius <km> - set the geofence radius around the shared location (or polygon)
+   * @param {object} msg - Telegram message
+   * @param {string} [radiusArg] - Radius in km
+   */
+  async handleRadius(msg, radiusArg) {
+    const { database } = this.app;
+    const current = await database.getLocation(msg.chat.id);
+
+    if (!current) {
+      await this._reply(
+        msg.chat.id,
+        "ℹ️ شارك موقعك أولاً (📎 ← الموقع) أو حدد منطقة بالأمر <code>/area</code>"
+      );
+      return;
+    }
+
+    const radius = Number(radiusArg);
+    if (!radiusArg || !Number.isFinite(radius) || radius < 0) {
+      await this._reply(msg.chat.id, "ℹ️ الاستخدام: <code>/radius 20</code>");
+      return;
+    }
+
+    await database.upsertLocation(msg.chat.id, {
+      latitude: current.latitude,
+      longitude: current.longitude,
+      radius_km: radius,
+      polygon: Subscriptions.getPolygon(current),
+    });
+    await this._reply(
+      msg.chat.id,
+      `✅ تم تحديث النطاق\n\n${this._describeArea({
+        ...current,
+        radius_km: radius,
+      })}`
+    );
+  }
+
+  /**
+   * /area <lat,lon ...> - set a polygon geofence
+   * @param {object} msg - Telegram message
+   * @param {string} [args] - At least 3 "lat,lon" points
+   */
+  async handleArea(msg, args) {
+    let polygon;
+    try {
+      polygon = Geo.parsePolygon(args);
+    } catch (error) {
+      await this._reply(
+        msg.chat.id,
+        `❌ ${this.notifier._escapeHtml(error.message)}\n\n` +
+          `مثال: <code>/area 24.80,46.55 24.80,46.80 24.60,46.80 24.60,46.55</code>`
+      );
+      return;
+    }
+
+    const { database } = this.app;
+    const current = (await database.getLocation(msg.chat.id)) || {};
+    const location = {
+      latitude: current.latitude ?? null,
+      longitude: current.longitude ?? null,
+      radius_km: null,
+      polygon,
+    };
+
+    await database.upsertLocation(msg.chat.id, location);
+    await this._reply(
+      msg.chat.id,
+      `✅ تم حفظ المنطقة\n\n${this._describeArea({
+        ...location,
+        polygon: JSON.stringify(polygon),
+      })}`
+    );
+  }
+
+  /**
+   * /clearlocation - remove the shared location and geofence
+   * @param {object} msg - Telegram message
+   */
+  async handleClearLocation(msg) {
+    const removed = await this.app.database.removeLocation(msg.chat.id);
+    await this._reply(
+      msg.chat.id,
+      removed ? "✅ تم حذف الموقع والنطاق" : "ℹ️ لا يوجد موقع محفوظ"
+    );
+  }
+
+  /**
+   * /lang [code] - show or set the language of this chat's alerts
+   * @param {object} msg - Telegram message
+   * @param {string} [localeArg] - Locale code (e.g. 'en')
+   */
+  async handleLang(msg, localeArg) {
+    const chatId = msg.chat.id;
+    const current = this.notifier.getLocale(chatId);
+    const commands = I18n.locales
+      .map((locale) => `<code>/lang ${locale}</code>`)
+      .join(" ");
+
+    if (!localeArg) {
+      await this._reply(
+        chatId,
+        `${I18n.t(current, "lang.current", {
+          name: I18n.t(current, "lang.name"),
+        })}\n${I18n.t(current, "lang.usage", { commands })}`
+      );
+      return;
+    }
+
+    const locale = localeArg.toLowerCase();
+    if (!I18n.isSupported(locale)) {
+      await this._reply(
+        chatId,
+        I18n.t(current, "lang.unsupported", {
+          locale: this.notifier._escapeHtml(localeArg),
+          commands,
+        })
+      );
+      return;
+    }
+
+    await this.app.database.setChatLocale(chatId, locale);
+    this.notifier.setLocale(chatId, locale);
+    await this._reply(chatId, I18n.t(locale, "lang.set"));
+  }
+
+  /**
+   * /near - available projects sorted by distance from the shared location
+   * @param {object} msg - Telegram message
+   */
+  async handleNear(msg) {
+    const { database } = this.app;
+    const location = await database.getLocation(msg.chat.id);
+
+    if (!location || !Subscriptions.getCenter(location)) {
+      await this._reply(
+        msg.chat.id,
+        "ℹ️ شارك موقعك أولاً (📎 ← الموقع) ثم أرسل <code>/near</code>"
+      );
+      return;
+    }
+
+    const projects = (await database.getLocatedAvailableProjects())
+      .map((project) => ({
+        project,
+        distance: Subscriptions.distanceKm(location, project),
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEAR_RESULTS);
+
+    if (projects.length === 0) {
+      await this._reply(msg.chat.id, "ℹ️ لا توجد مشاريع متاحة حالياً");
+      return;
+    }
+
+    let message = `<b>📍 أقرب المشاريع المتاحة</b>\n\n`;
+    for (const { project, distance } of projects) {
+      const name = project.project_name
+        ? this.notifier._escapeHtml(project.project_name)
+        : project.resource_id;
+      message += `• <a href="${Scraper.generateProjectUrl(
+        project.resource_id
+      )}">${name}</a>\n`;
+      message += `   📏 ${this.notifier._formatDistance(distance)} — ${
+        project.available_units_count
+      } وحدة`;
+      if (project.city) {
+        message += ` — ${this.notifier._escapeHtml(project.city)}`;
+      }
+      message += `\n`;
+    }
+
+    await this._reply(msg.chat.id, message);
+  }
+
+  /**
+   * Describe subscription filters in Arabic
+   * @param {object} filters - Subscription filters
+   * @returns {string} HTML description
+   */
+  _describeFilters(filters) {
+    const lines = [];
+    if (filters.city) {
+      lines.push(
+        `🏙 <b>المدينة:</b> ${this.notifier._escapeHtml(filters.city)}`
+      );
+    }
+    if (filters.region) {
+      lines.push(
+        `🌍 <b>المنطقة:</b> ${this.notifier._escapeHtml(filters.region)}`
+      );
+    }
+    if (filters.max_price) {
+      lines.push(
+        `💰 <b>الحد الأعلى للسعر:</b> ${this.notifier._formatNumber(
+          filters.max_price,
+          true
+        )}`
+      );
+    }
+
+    return lines.length ? lines.join("\n") : "📢 جميع المشاريع (بدون فلاتر)";
+  }
+
+  /**
+   * Describe a chat's geofence in Arabic
+   * @param {object} location - Location row (latitude, longitude, radius_km, polygon)
+   * @returns {string} HTML description
+   */
+  _describeArea(location) {
+    const polygon = Subscriptions.getPolygon(location);
+    const center = Subscriptions.getCenter(location);
+
+    if (polygon) {
+      const buffer = location.radius_km
+        ? ` + ${this.notifier._formatDistance(location.radius_km)}`
+        : "";
+      return `🗺 <b>المنطقة:</b> مضلع من ${polygon.length} نقاط${buffer}`;
+    }
+
+    if (center && location.radius_km > 0) {
+      return `📍 <b>النطاق:</b> ${this.notifier._formatDistance(
+        location.radius_km
+      )} حول موقعك`;
+    }
+
+    return `📍 <b>الموقع:</b> محفوظ (بدون نطاق)`;
+  }
+
+  /**
+   * Handle inline keyboard callbacks (pagination)
+   * @param {object} query - Telegram callback query
+   */
+  async _handleCallback(query) {
+    const chatId = query.message?.chat.id;
+
+    try {
+      if (!chatId || !this._isAdmin(chatId)) {
+        await this.bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      const [action, value] = (query.data || "").split(":");
+      if (action === "projects") {
+        await this.handleProjects(
+          chatId,
+          parseInt(value, 10),
+          query.message.message_id
+        );
+      }
+
+      await this.bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      log.error("❌ Callback query failed", { error });
+    }
+  }
+
+  /**
+   * Send an HTML reply
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} text - HTML message
+   */
+  async _reply(chatId, text) {
+    await this.bot.sendMessage(chatId, text, {
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+    });
+  }
+
+  /**
+   * Format a circuit breaker state line (Arabic)
+   * @param {object} circuit - CircuitBreaker state snapshot
+   * @returns {string} HTML line
+   */
+  _formatCircuit(circuit) {
+    switch (circuit.state) {
+      case "open":
+        return `🔴 ${circuit.name}: متوقف حتى ${this._formatTime(
+          circuit.retryAt
+        )}`;
+      case "half_open":
+        return `🟡 ${circuit.name}: قيد الاختبار`;
+      default:
+        return circuit.failures > 0
+          ? `🟢 ${circuit.name}: يعمل (${circuit.failures} إخفاق متتالٍ)`
+          : `🟢 ${circuit.name}: يعمل`;
+    }
+  }
+
+  /**
+   * Format a SQLite UTC timestamp in Riyadh time
+   * @param {string} value - Timestamp as stored by SQLite
+   * @returns {string} Formatted date
+   */
+  _formatSqlTime(value) {
+    return this._formatTime(Database.fromSqlTime(value));
+  }
+
+  /**
+   * Format a Date in Riyadh time
+   * @param {Date|null} date - Date to format
+   * @returns {string} Formatted date or a dash when missing
+   */
+  _formatTime(date) {
+    if (!date) {
+      return "—";
+    }
+    return date.toLocaleString("en-US", { timeZone: "Asia/Riyadh" });
+  }
+}
+
+export default CommandHandler;
@@ -0,0 +1,365 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import SearchProfile from "./profiles.js";
+
+/**
+ * Settings that can come from the config file (dotted path → rule)
+ * - env: environment variable used when the file does not set the key
+ * - hot: applied at runtime when the file changes (otherwise needs a restart)
+ */
+const SCHEMA = {
+  check_interval: {
+    type: "integer",
+    min: 1,
+    env: "CHECK_INTERVAL",
+    default: 1,
+    hot: true,
+  },
+  index_interval: {
+    type: "integer",
+    min: 1,
+    env: "INDEX_INTERVAL",
+    default: 60,
+    hot: true,
+  },
+  increase_threshold: {
+    type: "integer",
+    min: 0,
+    env: "INCREASE_THRESHOLD",
+    default: 10,
+    hot: true,
+  },
+  alert_cooldown_minutes: {
+    type: "integer",
+    min: 0,
+    env: "ALERT_COOLDOWN_MINUTES",
+    default: 30,
+    hot: true,
+  },
+  rearm_zero_checks: {
+    type: "integer",
+    min: 0,
+    env: "REARM_ZERO_CHECKS",
+    default: 3,
+    hot: true,
+  },
+  price_change_min_percent: {
+    type: "number",
+    min: 0,
+    env: "PRICE_CHANGE_MIN_PERCENT",
+    default: 5,
+    hot: true,
+  },
+  "telegram.admin_ids": {
+    type: "list",
+    env: "TELEGRAM_ADMIN_IDS",
+    required: true,
+    hot: true,
+  },
+  // Switching the counters source mid-run would compare counts from different APIs
+  "api.counters_url": {
+    type: "url",
+    env: "COUNTERS_API_URL",
+    required: true,
+    hot: false,
+  },
+  "api.search_base_url": {
+    type: "url",
+    env: "SEARCH_API_BASE_URL",
+    default: null,
+    hot: true,
+  },
+  "api.validation_url": {
+    type: "url",
+    env: "VALIDATION_API_URL",
+    default: null,
+    hot: true,
+  },
+  "timeouts.counters": { type: "integer", min: 1, default: 15000, hot: true },
+  "timeouts.search": { type: "integer", min: 1, default: 30000, hot: true },
+  "timeouts.validation": {
+    type: "integer",
+    min: 1,
+    default: 10000,
+    hot: true,
+  },
+  // Watch profiles (same definitions as PROFILES_PATH)
+  profiles: { type: "profiles", default: null, hot: true },
+};
+
+/**
+ * Bot settings from an optional JSON / YAML file (CONFIG_PATH) over
+ * environment variables, validated against SCHEMA
+ */
+class Config {
+  /**
+   * @param {object} values - Validated settings (dotted path → value)
+   * @param {string|null} [file=null] - Config file the settings were read from
+   */
+  constructor(values, file = null) {
+    this.values = values;
+    this.file = file;
+  }
+
+  /**
+   * Read a setting
+   * @param {string} key - Dotted path (e.g. 'telegram.admin_ids')
+   * @returns {*} Value
+   */
+  get(key) {
+    if (!(key in SCHEMA)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    return this.values[key];
+  }
+
+  /**
+   * Compare with another configuration
+   * @param {Config} other - Newer configuration
+   * @returns {Array<{key: string, from: *, to: *, hot: boolean}>} Changed settings
+   */
+  diff(other) {
+    return Object.keys(SCHEMA)
+      .filter(
+        (key) =>
+          JSON.stringify(this.values[key]) !== JSON.stringify(other.values[key])
+      )
+      .map((key) => ({
+        key,
+        from: this.values[key],
+        to: other.values[key],
+        hot: SCHEMA[key].hot,
+      }));
+  }
+
+  /**
+   * Load the settings
+   * CONFIG_PATH (optional) points to a .json, .yml or .yaml file; keys it
+   * leaves out fall back to the environment, then to the defaults
+   * @param {object} env - Environment variables
+   * @returns {Config} Configuration
+   * @throws {Error} If the file cannot be read or a setting is invalid (every problem is listed)
+   */
+  static load(env) {
+    const file = env.CONFIG_PATH || null;
+    const data = file ? Config.readFile(file) : {};
+    const { values, problems } = Config.validate(data, env);
+
+    if (problems.length > 0) {
+      const error = new Error(
+        `Invalid configuration${file ? ` in ${file}` : ""}:\n` +
+          problems.map((problem) => `  - ${problem}`).join("\n")
+      );
+      error.problems = problems;
+      throw error;
+    }
+
+    return new Config(values, file);
+  }
+
+  /**
+   * Parse a config file (format from the extension)
+   * @param {string} file - Path to a .json, .yml or .yaml file
+   * @returns {object} Parsed document
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  static readFile(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (![".json", ".yml", ".yaml"].includes(extension)) {
+      throw new Error(
+        `Unsupported config file type: ${file} (use .json, .yml or .yaml)`
+      );
+    }
+
+    const text = fs.readFileSync(file, "utf8");
+    let data;
+    try {
+      data = extension === ".json" ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+      throw new Error(`Cannot parse ${file}: ${error.message}`);
+    }
+
+    // An empty YAML file sets nothing
+    if (data === null || data === undefined) {
+      return {};
+    }
+    if (typeof data !== "object" || Array.isArray(data)) {
+      throw new Error(`${file} must contain an object at the top level`);
+    }
+    return data;
+  }
+
+  /**
+   * Validate a parsed document against SCHEMA, filling gaps from the environment
+   * @param {object} data - Parsed config file (nested objects)
+   * @param {object} [env={}] - Environment variables
+   * @returns {{values: object, problems: Array<string>}} Settings and validation errors
+   */
+  static validate(data, env = {}) {
+    const values = {};
+    const problems = [];
+
+    for (const key of Config._flattenKeys(data)) {
+      if (!(key in SCHEMA)) {
+        problems.push(`${key}: unknown setting`);
+      }
+    }
+
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+      const fromFile = Config._lookup(data, key);
+      const fromEnv = rule.env ? env[rule.env] : undefined;
+
+      try {
+        if (fromFile !== undefined) {
+          values[key] = Config._check(rule, fromFile, false);
+        } else if (fromEnv !== undefined && fromEnv !== "") {
+          values[key] = Config._check(rule, fromEnv, true);
+        } else if (rule.required) {
+          throw new Error(
+            `required (set it in the config file or ${rule.env})`
+          );
+        } else {
+          values[key] = rule.default;
+        }
+      } catch (error) {
+        problems.push(
+          `${key}: ${error.message}${
+            fromFile === undefined && fromEnv !== undefined
+              ? ` (from ${rule.env})`
+              : ""
+          }`
+        );
+      }
+    }
+
+    return { values, problems };
+  }
+
+  /**
+   * Poll a config file for changes
+   * @param {string} file - Config file
+   * @param {Function} onChange - Called after the file is modified
+   * @param {number} [interval=2000] - Poll interval in ms
+   * @returns {Function} Stops watching
+   */
+  static watch(file, onChange, interval = 2000) {
+    const listener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        onChange();
+      }
+    };
+
+    fs.watchFile(file, { interval, persistent: false }, listener);
+    return () => fs.unwatchFile(file, listener);
+  }
+
+  /**
+   * Check (and for environment strings, convert) one value
+   * @param {object} rule - SCHEMA entry
+   * @param {*} value - Raw value
+   * @param {boolean} fromEnv - Value is an environment string
+   * @returns {*} Valid value
+   * @throws {Error} Describing what was expected
+   */
+  static _check(rule, value, fromEnv) {
+    const shown = JSON.stringify(value);
+
+    switch (rule.type) {
+      case "integer":
+      case "number": {
+        const number =
+          fromEnv && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+        const valid =
+          rule.type === "integer"
+            ? Number.isInteger(number)
+            : typeof number === "number" && Number.isFinite(number);
+        if (!valid || number < rule.min) {
+          throw new Error(
+            `expected ${
+              rule.type === "integer" ? "an integer" : "a number"
+            } ≥ ${rule.min}, got ${shown}`
+          );
+        }
+        return number;
+      }
+
+      case "list": {
+        const items = fromEnv
+          ? value.split(",")
+          : Array.isArray(value) &&
+            value.every(
+              (item) => typeof item === "string" || typeof item === "number"
+            )
+          ? value
+          : null;
+        const list = (items || [])
+          .map((item) => String(item).trim())
+          .filter(Boolean);
+        if (list.length === 0) {
+          throw new Error(`expected a non-empty list, got ${shown}`);
+        }
+        return list;
+      }
+
+      case "url": {
+        let url = null;
+        try {
+          url = new URL(value);
+        } catch (error) {
+          // Reported below
+        }
+        if (!url || !["http:", "https:"].includes(url.protocol)) {
+          throw new Error(`expected an http(s) URL, got ${shown}`);
+        }
+        return value;
+      }
+
+      case "profiles":
+        // Throws the same errors as a PROFILES_PATH file
+        SearchProfile.fromConfigs(value);
+        return value;
+
+      default:
+        throw new Error(`unsupported type ${rule.type}`);
+    }
+  }
+
+  /**
+   * Read a dotted path from a nested document
+   * @param {object} data - Document
+   * @param {string} key - Dotted path
+   * @returns {*} Value or undefined
+   */
+  static _lookup(data, key) {
+    return key
+      .split(".")
+      .reduce(
+        (node, part) =>
+          node && typeof node === "object" && !Array.isArray(node)
+            ? node[part]
+            : undefined,
+        data
+      );
+  }
+
+  /**
+   * Dotted paths of every leaf in a document (sections like `api` are descended into)
+   * @param {object} data - Document
+   * @param {string} [prefix=''] - Path of `data`
+   * @returns {Array<string>} Paths
+   */
+  static _flattenKeys(data, prefix = "") {
+    return Object.entries(data).flatMap(([name, value]) => {
+      const key = prefix ? `${prefix}.${name}` : name;
+      const isSection =
+        value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        !(key in SCHEMA);
+      return isSection ? Config._flattenKeys(value, key) : [key];
+    });
+  }
+}
+
+export default Config;
@@ -0,0 +1,28 @@
+/**
+ * CSV helpers shared by exports and digest attachments (RFC 4180 quoting)
+ */
+class Csv {
+  /**
+   * Escape a CSV cell
+   * @param {*} value - Cell value (null and undefined are empty)
+   * @returns {string} CSV cell
+   */
+  static cell(value) {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Format one CSV line
+   * @param {Array<*>} values - Cell values
+   * @returns {string} CSV line (without the line break)
+   */
+  static line(values) {
+    return values.map(Csv.cell).join(",");
+  }
+}
+
+export default Csv;
@@ -2,6 +2,10 @@ import sqlite3 from 'sqlite3';
 import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
+import migrations from './migrations.js';
+import logger from './logger.js';
+
+const log = logger.child({ module: 'database' });
 
 /**
  * Database manager for storing and tracking project information
@@ -13,9 +17,17 @@ class Database {
   }
 
   /**
-   * Initialize database connection and create tables if needed
+   * Initialize database connection and apply pending migrations
    */
   async initialize() {
+    await this.open();
+    await this.migrate();
+  }
+
+  /**
+   * Open the database connection (without migrating)
+   */
+  async open() {
     // Ensure data directory exists
     const dir = path.dirname(this.dbPath);
     if (!fs.existsSync(dir)) {
@@ -23,108 +35,154 @@ class Database {
     }
 
     return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(this.dbPath, async (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          try {
-            await this._migrateSchema();
-            await this._createTables();
-            resolve();
-          } catch (error) {
-            reject(error);
-          }
-        }
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) reject(err);
+        else resolve();
       });
     });
   }
 
   /**
-   * Migrate existing schema to new structure
+   * Apply pending schema migrations in order, each inside its own transaction
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only report pending migrations
+   * @returns {Promise<Array<{version: number, name: string}>>} Pending (dry run) or applied migrations
    */
-  async _migrateSchema() {
-    return new Promise((resolve, reject) => {
-      // Check if old schema exists
-      this.db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='projects'", async (err, row) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  async migrate({ dryRun = false } = {}) {
+    const pending = await this.getPendingMigrations({ readOnly: dryRun });
 
-        if (row) {
-          // Table exists, check if it has old schema
-          this.db.all("PRAGMA table_info(projects)", async (err, columns) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-
-            const hasOldSchema = columns.some(col => col.name === 'id' && col.type === 'TEXT');
-            const hasNewSchema = columns.some(col => col.name === 'resource_id' && col.type === 'INTEGER');
-
-            if (hasOldSchema || (!hasNewSchema && columns.length > 0)) {
-              console.log('🔄 Detected old schema. Dropping table for clean migration...');
-
-              // Drop old table and recreate (simplest approach)
-              try {
-                await this._dropTable();
-                console.log('✅ Old schema removed. New schema will be created.');
-                resolve();
-              } catch (error) {
-                reject(error);
-              }
-            } else {
-              resolve();
-            }
-          });
-        } else {
-          resolve();
-        }
+    if (dryRun) {
+      return pending.map(({ version, name }) => ({ version, name }));
+    }
+
+    const tx = {
+      run: (sql, params) => this._run(sql, params),
+      all: (sql, params) => this._all(sql, params),
+      get: (sql, params) => this._get(sql, params)
+    };
+
+    for (const migration of pending) {
+      log.info(`🔄 Applying migration ${migration.version}: ${migration.name}`);
+
+      await this._run('BEGIN TRANSACTION');
+      try {
+        await migration.up(tx);
+        await this._run(
+          'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+          [migration.version, migration.name]
+        );
+        await this._run('COMMIT');
+      } catch (error) {
+        await this._run('ROLLBACK');
+        throw new Error(
+          `Migration ${migration.version} (${migration.name}) failed: ${error.message}`
+        );
+      }
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Get migrations that have not been applied yet
+   * @param {object} [options]
+   * @param {boolean} [options.readOnly=false] - Do not create schema_version
+   *   (a missing table means version 0)
+   * @returns {Promise<Array<object>>} Pending migrations in version order
+   */
+  async getPendingMigrations({ readOnly = false } = {}) {
+    if (!readOnly) {
+      await this._run(
+        `CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      );
+    }
+
+    const applied = new Set(
+      (await this._hasTable('schema_version'))
+        ? (await this._all('SELECT version FROM schema_version')).map(
+          (row) => row.version
+        )
+        : []
+    );
+
+    return [...migrations]
+      .sort((a, b) => a.version - b.version)
+      .filter((migration) => !applied.has(migration.version));
+  }
+
+  /**
+   * Get the current schema version
+   * @returns {Promise<number>} Highest applied migration version (0 if none)
+   */
+  async getSchemaVersion() {
+    if (!(await this._hasTable('schema_version'))) {
+      return 0;
+    }
+
+    const row = await this._get(
+      'SELECT MAX(version) AS version FROM schema_version'
+    );
+    return row?.version || 0;
+  }
+
+  /**
+   * Check whether a table exists
+   * @param {string} name - Table name
+   * @returns {Promise<boolean>} True if the table exists
+   */
+  async _hasTable(name) {
+    const row = await this._get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [name]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL statement
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<{changes: number, lastID: number}>} Statement result
+   */
+  async _run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes, lastID: this.lastID });
       });
     });
   }
 
   /**
-   * Drop the projects table
+   * Run a query and return all rows
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<Array>} Rows
    */
-  async _dropTable() {
+  async _all(sql, params = []) {
     return new Promise((resolve, reject) => {
-      this.db.run('DROP TABLE IF EXISTS projects', (err) => {
+      this.db.all(sql, params, (err, rows) => {
         if (err) reject(err);
-        else resolve();
+        else resolve(rows);
       });
     });
   }
 
   /**
-   * Create projects table if it doesn't exist
-   */
-  async _createTables() {
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS projects (
-        resource_id INTEGER PRIMARY KEY,
-        project_name TEXT,
-        available_units_count INTEGER DEFAULT 0,
-        min_non_bene_price REAL,
-        location_lat REAL,
-        location_lon REAL,
-        city TEXT,
-        region TEXT,
-        developer_name TEXT,
-        banner_url TEXT,
-        views_count INTEGER,
-        project_type TEXT,
-        bookable INTEGER DEFAULT 0,
-        last_indexed_at DATETIME,
-        last_watched_at DATETIME,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
+   * Run a query and return the first row
+   * @param {string} sql - SQL query
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<object|undefined>} Row
+   */
+  async _get(sql, params = []) {
     return new Promise((resolve, reject) => {
-      this.db.run(createTableSQL, (err) => {
+      this.db.get(sql, params, (err, row) => {
         if (err) reject(err);
-        else resolve();
+        else resolve(row);
       });
     });
   }
@@ -147,19 +205,163 @@ class Database {
     });
   }
 
+  /**
+   * Get every tracked project
+   * @returns {Promise<Array>} Project rows, by resource ID
+   */
+  async getProjects() {
+    return this._all('SELECT * FROM projects ORDER BY resource_id ASC');
+  }
+
+  /**
+   * Search projects with filters, sorting and pagination (used by the REST API)
+   * Filters follow subscription matching: city / region compare case-insensitively
+   * and projects with an unknown price are not excluded by maxPrice
+   * @param {object} [query]
+   * @param {boolean|null} [query.available] - Only open (true) or sold-out / unreleased (false) projects
+   * @param {string|null} [query.city] - City name
+   * @param {string|null} [query.region] - Region name
+   * @param {number|null} [query.maxPrice] - Maximum minimum non-beneficiary price
+   * @param {string} [query.sort='id'] - 'id', 'price' or 'units' (unknown prices sort last)
+   * @param {string} [query.order='asc'] - 'asc' or 'desc'
+   * @param {number} [query.limit=50] - Page size
+   * @param {number} [query.offset=0] - Rows to skip
+   * @returns {Promise<{total: number, projects: Array}>} Matching row count and the page of rows
+   */
+  async queryProjects({ available = null, city = null, region = null, maxPrice = null, sort = 'id', order = 'asc', limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (available !== null) {
+      conditions.push(available ? 'available_units_count > 0' : 'available_units_count = 0');
+    }
+    if (city) {
+      conditions.push('LOWER(TRIM(city)) = LOWER(?)');
+      params.push(city.trim());
+    }
+    if (region) {
+      conditions.push('LOWER(TRIM(region)) = LOWER(?)');
+      params.push(region.trim());
+    }
+    if (maxPrice) {
+      conditions.push('(min_non_bene_price IS NULL OR min_non_bene_price <= 0 OR min_non_bene_price <= ?)');
+      params.push(maxPrice);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    const orderBy = {
+      id: `resource_id ${direction}`,
+      price: `(min_non_bene_price IS NULL OR min_non_bene_price <= 0) ASC, min_non_bene_price ${direction}, resource_id ASC`,
+      units: `available_units_count ${direction}, resource_id ASC`
+    }[sort];
+
+    if (!orderBy) {
+      throw new Error(`Unknown sort field: ${sort}`);
+    }
+
+    const { total } = await this._get(`SELECT COUNT(*) AS total FROM projects ${where}`, params);
+    const projects = await this._all(
+      `SELECT * FROM projects ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total, projects };
+  }
+
+  /**
+   * Count all tracked projects
+   * @returns {Promise<number>} Number of rows in the projects table
+   */
+  async countProjects() {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT COUNT(*) AS total FROM projects', (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total);
+      });
+    });
+  }
+
+  /**
+   * Count projects that currently have available units
+   * @returns {Promise<number>} Number of available projects
+   */
+  async countAvailableProjects() {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT COUNT(*) AS total FROM projects WHERE available_units_count > 0',
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row.total);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the most recent time any unit count was recorded
+   * @returns {Promise<string|null>} SQLite UTC timestamp or null if never watched
+   */
+  async getLastWatchedAt() {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT MAX(last_watched_at) AS last_watched_at FROM projects',
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row.last_watched_at);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a page of projects that currently have available units
+   * @param {number} limit - Maximum number of rows to return
+   * @param {number} offset - Number of rows to skip
+   * @returns {Promise<Array>} Project rows ordered by available units (desc)
+   */
+  async getAvailableProjects(limit, offset = 0) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM projects
+         WHERE available_units_count > 0
+         ORDER BY available_units_count DESC, resource_id ASC
+         LIMIT ? OFFSET ?`,
+        [limit, offset],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get all available projects that have coordinates (used by /near)
+   * @returns {Promise<Array>} Project rows
+   */
+  async getLocatedAvailableProjects() {
+    return this._all(
+      `SELECT * FROM projects
+       WHERE available_units_count > 0
+         AND location_lat IS NOT NULL AND location_lon IS NOT NULL`
+    );
+  }
+
   /**
    * Get unit count for a resource_id (used by Watcher)
    * @param {number} resourceId - The resource ID
-   * @returns {Promise<number|null>} Unit count or null if project not found
+   * @returns {Promise<number|null>} Unit count or null if the project has never
+   *   been watched (unknown, or only indexed from the Search API)
    */
   async getUnitCount(resourceId) {
     return new Promise((resolve, reject) => {
       this.db.get(
-        'SELECT available_units_count FROM projects WHERE resource_id = ?',
+        'SELECT available_units_count, last_watched_at FROM projects WHERE resource_id = ?',
         [resourceId],
         (err, row) => {
           if (err) reject(err);
-          else resolve(row ? row.available_units_count : null);
+          else resolve(row && row.last_watched_at ? row.available_units_count : null);
         }
       );
     });
@@ -167,8 +369,10 @@ class Database {
 
   /**
    * Upsert project metadata (used by Indexer or Validator)
-   * Updates all metadata fields except available_units_count
+   * Updates all metadata fields except available_units_count and appends a
+   * row to price_history when a known price changes
    * @param {object} project - Project data from Search API or Validation API
+   * @returns {Promise<{previous_price: number, new_price: number}|null>} The price change, if any
    */
   async upsertProjectMetadata(project) {
     const {
@@ -183,16 +387,33 @@ class Database {
       banner_url,
       views_count,
       project_type,
-      bookable
+      bookable,
+      profile
     } = project;
 
-    return new Promise((resolve, reject) => {
+    const stored = await this._get(
+      'SELECT min_non_bene_price FROM projects WHERE resource_id = ?',
+      [resource_id]
+    );
+    const previousPrice = stored?.min_non_bene_price;
+    let priceChange = null;
+    if (previousPrice > 0 && min_non_bene_price > 0 &&
+        previousPrice !== min_non_bene_price) {
+      await this._run(
+        `INSERT INTO price_history (resource_id, previous_price, new_price, recorded_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+        [resource_id, previousPrice, min_non_bene_price]
+      );
+      priceChange = { previous_price: previousPrice, new_price: min_non_bene_price };
+    }
+
+    await new Promise((resolve, reject) => {
       this.db.run(
         `INSERT INTO projects (
           resource_id, project_name, min_non_bene_price, location_lat, location_lon,
           city, region, developer_name, banner_url, views_count, project_type, bookable,
-          last_indexed_at, last_updated
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          profile, last_indexed_at, last_updated
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
         ON CONFLICT(resource_id) DO UPDATE SET
           project_name = excluded.project_name,
           min_non_bene_price = excluded.min_non_bene_price,
@@ -205,33 +426,57 @@ class Database {
           views_count = excluded.views_count,
           project_type = excluded.project_type,
           bookable = excluded.bookable,
+          profile = COALESCE(excluded.profile, projects.profile),
           last_indexed_at = CURRENT_TIMESTAMP,
           last_updated = CURRENT_TIMESTAMP`,
         [resource_id, project_name, min_non_bene_price, location_lat, location_lon,
-         city || '', region || '', developer_name, banner_url, views_count, project_type, bookable ? 1 : 0],
+         city || '', region || '', developer_name, banner_url, views_count, project_type, bookable ? 1 : 0,
+         profile || null],
         (err) => {
           if (err) reject(err);
           else resolve();
         }
       );
     });
+
+    return priceChange;
   }
 
   /**
    * Update only the unit count (used by Watcher)
+   * Appends a row to unit_count_history whenever the count changes and tracks
+   * how many consecutive checks the project stayed at 0 (flap suppression)
    * @param {number} resourceId - The resource ID
    * @param {number} count - The new unit count
    */
   async updateUnitCount(resourceId, count) {
+    const previousCount = await this.getUnitCount(resourceId);
+
+    if (previousCount !== count) {
+      await new Promise((resolve, reject) => {
+        this.db.run(
+          `INSERT INTO unit_count_history (resource_id, previous_count, new_count, recorded_at)
+           VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+          [resourceId, previousCount, count],
+          (err) => {
+            if (err) reject(err);
+            else resolve();
+          }
+        );
+      });
+    }
+
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO projects (resource_id, available_units_count, last_watched_at, last_updated)
-         VALUES (?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `INSERT INTO projects (resource_id, available_units_count, zero_checks, last_watched_at, last_updated)
+         VALUES (?, ?, CASE WHEN ? > 0 THEN 0 END, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
          ON CONFLICT(resource_id) DO UPDATE SET
            available_units_count = excluded.available_units_count,
+           zero_checks = CASE WHEN excluded.available_units_count > 0 THEN 0
+                              ELSE projects.zero_checks + 1 END,
            last_watched_at = CURRENT_TIMESTAMP,
            last_updated = CURRENT_TIMESTAMP`,
-        [resourceId, count],
+        [resourceId, count, count],
         (err) => {
           if (err) reject(err);
           else resolve();
@@ -240,6 +485,284 @@ class Database {
     });
   }
 
+  /**
+   * Record that an alert was sent for a project (flap suppression state)
+   * Only opening alerts (available / restocked / increased) start a cooldown
+   * @param {number} resourceId - The resource ID
+   * @param {string} reason - Notification reason
+   */
+  async recordAlert(resourceId, reason) {
+    await this._run(
+      `UPDATE projects SET
+         last_alert_reason = ?,
+         last_alerted_at = CASE WHEN ? = 'sold_out' THEN last_alerted_at ELSE CURRENT_TIMESTAMP END
+       WHERE resource_id = ?`,
+      [reason, reason, resourceId]
+    );
+  }
+
+  /**
+   * Override the alert cooldown / re-arm rule of one project
+   * @param {number} resourceId - The resource ID
+   * @param {object} overrides
+   * @param {number|null} overrides.cooldown_minutes - Cooldown in minutes (null: use the default)
+   * @param {number|null} overrides.rearm_checks - Checks at 0 before re-arming (null: use the default)
+   * @returns {Promise<boolean>} True if the project exists
+   */
+  async setAlertOverrides(resourceId, { cooldown_minutes = null, rearm_checks = null }) {
+    const result = await this._run(
+      'UPDATE projects SET cooldown_minutes = ?, rearm_checks = ? WHERE resource_id = ?',
+      [cooldown_minutes, rearm_checks, resourceId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Mute or unmute alerts for a project (counts are still recorded)
+   * @param {number} resourceId - The resource ID
+   * @param {boolean} muted - Whether alerts are muted
+   * @returns {Promise<boolean>} True if the project exists
+   */
+  async setMuted(resourceId, muted) {
+    const result = await this._run(
+      'UPDATE projects SET muted = ? WHERE resource_id = ?',
+      [muted ? 1 : 0, resourceId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Forget every recorded unit count so the next check records a silent baseline
+   * Also sets the baseline-pending flag, so a bot that is already running
+   * records the baseline instead of announcing every project
+   * Metadata and history are kept
+   * @returns {Promise<number>} Number of projects reset
+   */
+  async resetBaseline() {
+    await this._run('BEGIN TRANSACTION');
+    try {
+      const result = await this._run(
+        `UPDATE projects
+         SET available_units_count = 0, last_watched_at = NULL, zero_checks = NULL
+         WHERE last_watched_at IS NOT NULL`
+      );
+      await this._run(
+        `INSERT INTO bot_state (key, value, updated_at)
+         VALUES ('baseline_pending', '1', CURRENT_TIMESTAMP)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`
+      );
+      await this._run('COMMIT');
+      return result.changes;
+    } catch (error) {
+      await this._run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a baseline reset is waiting for the next check
+   * @returns {Promise<boolean>} True after resetBaseline() until clearBaselinePending()
+   */
+  async isBaselinePending() {
+    const row = await this._get(
+      "SELECT value FROM bot_state WHERE key = 'baseline_pending'"
+    );
+    return row?.value === '1';
+  }
+
+  /**
+   * Clear the baseline-pending flag (the baseline was recorded)
+   */
+  async clearBaselinePending() {
+    await this._run("DELETE FROM bot_state WHERE key = 'baseline_pending'");
+  }
+
+  /**
+   * Get the unit count time series of one project
+   * @param {number} resourceId - The resource ID
+   * @param {number} [limit=50] - Maximum number of (most recent) changes
+   * @returns {Promise<Array>} History rows in chronological order
+   */
+  async getUnitCountHistory(resourceId, limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM (
+           SELECT * FROM unit_count_history
+           WHERE resource_id = ?
+           ORDER BY recorded_at DESC, id DESC
+           LIMIT ?
+         ) ORDER BY recorded_at ASC, id ASC`,
+        [resourceId, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get release events (unit count increases) in a date range
+   * The first observation of a project (previous_count = null) is not a release
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (inclusive)
+   * @returns {Promise<Array>} Rows with resource_id, project_name, previous_count,
+   *   new_count, released (units added) and recorded_at
+   */
+  async getReleaseEvents(from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT h.resource_id, p.project_name, p.city, p.region,
+                h.previous_count, h.new_count,
+                h.new_count - COALESCE(h.previous_count, 0) AS released,
+                h.recorded_at
+         FROM unit_count_history h
+         LEFT JOIN projects p ON p.resource_id = h.resource_id
+         WHERE h.new_count > COALESCE(h.previous_count, 0)
+           AND h.previous_count IS NOT NULL
+           AND h.recorded_at >= ? AND h.recorded_at <= ?
+         ORDER BY h.recorded_at ASC, h.id ASC`,
+        [Database.toSqlTime(from), Database.toSqlTime(to)],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get sold-out events (N→0) in a date range
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (inclusive)
+   * @returns {Promise<Array>} Rows with resource_id, project_name, city, region,
+   *   previous_count and recorded_at
+   */
+  async getSoldOutEvents(from, to) {
+    return this._all(
+      `SELECT h.resource_id, p.project_name, p.city, p.region,
+              h.previous_count, h.recorded_at
+       FROM unit_count_history h
+       LEFT JOIN projects p ON p.resource_id = h.resource_id
+       WHERE h.new_count = 0 AND h.previous_count > 0
+         AND h.recorded_at >= ? AND h.recorded_at <= ?
+       ORDER BY h.recorded_at ASC, h.id ASC`,
+      [Database.toSqlTime(from), Database.toSqlTime(to)]
+    );
+  }
+
+  /**
+   * Get price changes in a date range
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (inclusive)
+   * @returns {Promise<Array>} Rows with resource_id, project_name, city, region,
+   *   previous_price, new_price and recorded_at
+   */
+  async getPriceChanges(from, to) {
+    return this._all(
+      `SELECT h.resource_id, p.project_name, p.city, p.region,
+              h.previous_price, h.new_price, h.recorded_at
+       FROM price_history h
+       LEFT JOIN projects p ON p.resource_id = h.resource_id
+       WHERE h.recorded_at >= ? AND h.recorded_at <= ?
+       ORDER BY h.recorded_at ASC, h.id ASC`,
+      [Database.toSqlTime(from), Database.toSqlTime(to)]
+    );
+  }
+
+  /**
+   * Get the most recent price changes of a project
+   * @param {number} resourceId - The resource ID
+   * @param {number} [limit=50] - Maximum number of rows
+   * @returns {Promise<Array>} Rows (previous_price, new_price, recorded_at), oldest first
+   */
+  async getPriceHistory(resourceId, limit = 50) {
+    return this._all(
+      `SELECT * FROM (
+         SELECT * FROM price_history
+         WHERE resource_id = ?
+         ORDER BY recorded_at DESC, id DESC
+         LIMIT ?
+       ) ORDER BY recorded_at ASC, id ASC`,
+      [resourceId, limit]
+    );
+  }
+
+  /**
+   * Get availability periods (opened → sold out) reconstructed from history
+   * A period starts on a 0→N change (or a first recorded count above 0) and
+   * ends on the next N→0 change; periods that are still open have closed_at = null
+   * @param {number|null} [resourceId] - Limit to one project (all projects if null)
+   * @returns {Promise<Array>} Periods with resource_id, opened_at, closed_at and
+   *   duration_seconds (null while open)
+   */
+  async getAvailabilityPeriods(resourceId = null) {
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM unit_count_history
+         WHERE (? IS NULL OR resource_id = ?)
+         ORDER BY resource_id ASC, recorded_at ASC, id ASC`,
+        [resourceId, resourceId],
+        (err, result) => {
+          if (err) reject(err);
+          else resolve(result);
+        }
+      );
+    });
+
+    const periods = [];
+    const open = new Map();
+
+    for (const row of rows) {
+      const opened = row.previous_count === 0 || row.previous_count === null;
+      if (opened && row.new_count > 0) {
+        open.set(row.resource_id, row.recorded_at);
+      } else if (row.new_count === 0 && open.has(row.resource_id)) {
+        const openedAt = open.get(row.resource_id);
+        open.delete(row.resource_id);
+        periods.push({
+          resource_id: row.resource_id,
+          opened_at: openedAt,
+          closed_at: row.recorded_at,
+          duration_seconds:
+            (Database.fromSqlTime(row.recorded_at) -
+              Database.fromSqlTime(openedAt)) /
+            1000
+        });
+      }
+    }
+
+    for (const [id, openedAt] of open) {
+      periods.push({
+        resource_id: id,
+        opened_at: openedAt,
+        closed_at: null,
+        duration_seconds: null
+      });
+    }
+
+    return periods;
+  }
+
+  /**
+   * Get the average time from opening until sold out
+   * @param {number|null} [resourceId] - Limit to one project (all projects if null)
+   * @returns {Promise<{periods: number, averageSeconds: number|null}>} Number of
+   *   completed periods and their average duration
+   */
+  async getAverageTimeToSellOut(resourceId = null) {
+    const closed = (await this.getAvailabilityPeriods(resourceId)).filter(
+      (period) => period.closed_at !== null
+    );
+
+    if (closed.length === 0) {
+      return { periods: 0, averageSeconds: null };
+    }
+
+    const total = closed.reduce((sum, period) => sum + period.duration_seconds, 0);
+    return { periods: closed.length, averageSeconds: total / closed.length };
+  }
+
   /**
    * Ensure a project row exists (used by Watcher for unknown projects)
    * Creates minimal row that will be filled by Indexer later
@@ -259,6 +782,378 @@ class Database {
     });
   }
 
+  /**
+   * Flag a project whose "new project" alert was sent without metadata
+   * (or clear the flag once the full alert is sent)
+   * @param {number} resourceId - The resource ID
+   * @param {boolean} pending - Whether the full alert is still due
+   * @returns {Promise<boolean>} True if the flag changed
+   */
+  async setAnnouncementPending(resourceId, pending) {
+    const result = await this._run(
+      'UPDATE projects SET announcement_pending = ? WHERE resource_id = ? AND announcement_pending = ?',
+      [pending ? 1 : 0, resourceId, pending ? 0 : 1]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Get projects whose full "new project" alert is due (metadata now indexed)
+   * @returns {Promise<Array>} Project rows
+   */
+  async getPendingAnnouncements() {
+    return this._all(
+      'SELECT * FROM projects WHERE announcement_pending = 1 AND last_indexed_at IS NOT NULL'
+    );
+  }
+
+  /**
+   * Create or replace a subscription for a chat
+   * @param {string} chatId - Telegram chat ID
+   * @param {object} filters - Subscription filters
+   * @param {string|null} filters.city - City name (Arabic, as returned by the API)
+   * @param {string|null} filters.region - Region name (Arabic, as returned by the API)
+   * @param {number|null} filters.max_price - Maximum min_non_bene_price
+   */
+  async upsertSubscriber(chatId, { city = null, region = null, max_price = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO subscribers (chat_id, city, region, max_price, created_at, updated_at)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         ON CONFLICT(chat_id) DO UPDATE SET
+           city = excluded.city,
+           region = excluded.region,
+           max_price = excluded.max_price,
+           updated_at = CURRENT_TIMESTAMP`,
+        [String(chatId), city, region, max_price],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Remove a chat's subscription
+   * @param {string} chatId - Telegram chat ID
+   * @returns {Promise<boolean>} True if a subscription was removed
+   */
+  async removeSubscriber(chatId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM subscribers WHERE chat_id = ?',
+        [String(chatId)],
+        function (err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a chat's subscription
+   * @param {string} chatId - Telegram chat ID
+   * @returns {Promise<object|null>} Subscriber row or null if not subscribed
+   */
+  async getSubscriber(chatId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM subscribers WHERE chat_id = ?',
+        [String(chatId)],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get all subscribers with their geofence (if the chat shared a location)
+   * @returns {Promise<Array>} Subscriber rows (latitude, longitude, radius_km, polygon may be null)
+   */
+  async getSubscribers() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT s.*, l.latitude, l.longitude, l.radius_km, l.polygon
+         FROM subscribers s
+         LEFT JOIN locations l ON l.chat_id = s.chat_id`,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Create or replace a chat's shared location / geofence
+   * @param {string} chatId - Telegram chat ID
+   * @param {object} location
+   * @param {number|null} location.latitude - Shared location latitude
+   * @param {number|null} location.longitude - Shared location longitude
+   * @param {number|null} location.radius_km - Geofence radius (around the location, or around the polygon)
+   * @param {Array<{lat: number, lon: number}>|null} location.polygon - Geofence polygon
+   */
+  async upsertLocation(chatId, { latitude = null, longitude = null, radius_km = null, polygon = null }) {
+    await this._run(
+      `INSERT INTO locations (chat_id, latitude, longitude, radius_km, polygon, updated_at)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(chat_id) DO UPDATE SET
+         latitude = excluded.latitude,
+         longitude = excluded.longitude,
+         radius_km = excluded.radius_km,
+         polygon = excluded.polygon,
+         updated_at = CURRENT_TIMESTAMP`,
+      [String(chatId), latitude, longitude, radius_km,
+       polygon ? JSON.stringify(polygon) : null]
+    );
+  }
+
+  /**
+   * Get a chat's shared location / geofence
+   * @param {string} chatId - Telegram chat ID
+   * @returns {Promise<object|null>} Location row (polygon as JSON) or null
+   */
+  async getLocation(chatId) {
+    const row = await this._get('SELECT * FROM locations WHERE chat_id = ?', [String(chatId)]);
+    return row || null;
+  }
+
+  /**
+   * Get every chat's shared location / geofence
+   * @returns {Promise<Array>} Location rows
+   */
+  async getLocations() {
+    return this._all('SELECT * FROM locations');
+  }
+
+  /**
+   * Remove a chat's shared location / geofence
+   * @param {string} chatId - Telegram chat ID
+   * @returns {Promise<boolean>} True if a location was removed
+   */
+  async removeLocation(chatId) {
+    const result = await this._run('DELETE FROM locations WHERE chat_id = ?', [String(chatId)]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Set a chat's locale (/lang)
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} locale - Locale code
+   */
+  async setChatLocale(chatId, locale) {
+    await this._run(
+      `INSERT INTO chat_settings (chat_id, locale, updated_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(chat_id) DO UPDATE SET
+         locale = excluded.locale,
+         updated_at = CURRENT_TIMESTAMP`,
+      [String(chatId), locale]
+    );
+  }
+
+  /**
+   * Get every chat's locale
+   * @returns {Promise<Map<string, string>>} Chat ID → locale
+   */
+  async getChatLocales() {
+    const rows = await this._all('SELECT chat_id, locale FROM chat_settings');
+    return new Map(rows.map((row) => [row.chat_id, row.locale]));
+  }
+
+  /**
+   * Record Telegram alert messages so they can be edited as the count changes
+   * @param {number} resourceId - The resource ID
+   * @param {string} reason - Alert reason
+   * @param {Array<object>} messages - Sent messages ({ chat_id, message_id, has_photo, distance_km, units_count })
+   */
+  async addAlertMessages(resourceId, reason, messages) {
+    for (const message of messages) {
+      await this._run(
+        `INSERT INTO alert_messages
+           (resource_id, chat_id, message_id, reason, has_photo, distance_km, units_count)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [resourceId, String(message.chat_id), message.message_id, reason,
+         message.has_photo ? 1 : 0, message.distance_km ?? null, message.units_count ?? null]
+      );
+    }
+  }
+
+  /**
+   * Get the alert messages of a project that have not been marked sold out
+   * @param {number} resourceId - The resource ID
+   * @returns {Promise<Array>} Alert message rows
+   */
+  async getLiveAlertMessages(resourceId) {
+    return this._all(
+      'SELECT * FROM alert_messages WHERE resource_id = ? AND sold_out = 0 ORDER BY id ASC',
+      [resourceId]
+    );
+  }
+
+  /**
+   * Record the count an alert message now shows
+   * @param {number} id - Alert message row ID
+   * @param {number} unitsCount - Unit count shown in the message
+   */
+  async updateAlertMessage(id, unitsCount) {
+    await this._run(
+      `UPDATE alert_messages
+       SET units_count = ?, sold_out = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [unitsCount, unitsCount > 0 ? 0 : 1, id]
+    );
+  }
+
+  /**
+   * Stop tracking an alert message (e.g. deleted from the chat)
+   * @param {number} id - Alert message row ID
+   */
+  async removeAlertMessage(id) {
+    await this._run('DELETE FROM alert_messages WHERE id = ?', [id]);
+  }
+
+  /**
+   * Record the start of a check run (audit trail)
+   * @param {string} checkId - Correlation ID of the run (as in the logs)
+   * @returns {Promise<number>} check_runs row ID
+   */
+  async startCheckRun(checkId) {
+    const { lastID } = await this._run(
+      'INSERT INTO check_runs (check_id, started_at) VALUES (?, CURRENT_TIMESTAMP)',
+      [checkId]
+    );
+    return lastID;
+  }
+
+  /**
+   * Record the end of a check run
+   * @param {number} id - check_runs row ID
+   * @param {object} result
+   * @param {string} result.status - 'success' or 'error'
+   * @param {number|null} result.counters_count - Counters received in Step 1
+   * @param {number|null} result.search_results_count - Projects fetched from the Search API
+   *   during the run (null if the indexed catalog was enough)
+   * @param {number} result.triggers_count - Triggers detected
+   * @param {number} result.notifications_count - Triggers that were announced
+   * @param {string|null} result.error - Error message of a failed run
+   */
+  async finishCheckRun(id, { status, counters_count = null, search_results_count = null, triggers_count = 0, notifications_count = 0, error = null }) {
+    await this._run(
+      `UPDATE check_runs
+       SET status = ?, counters_count = ?, search_results_count = ?, triggers_count = ?,
+           notifications_count = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, counters_count, search_results_count, triggers_count, notifications_count, error, id]
+    );
+  }
+
+  /**
+   * Record what happened to one trigger of a check run
+   * @param {number} checkRunId - check_runs row ID
+   * @param {object} decision
+   * @param {number} decision.resource_id - Resource ID
+   * @param {string} decision.reason - Trigger reason
+   * @param {number|null} decision.previous_count - Count before the change
+   * @param {number} decision.new_count - Count from the Counters API
+   * @param {string|null} [decision.step1_counters] - Step outcomes ('passed', 'not_found', 'invalid_type', 'fallback')
+   * @param {string|null} [decision.step2_search]
+   * @param {string|null} [decision.step3_validation]
+   * @param {string|null} [decision.suppressed] - Suppression cause ('muted', 'cooldown', ...)
+   * @param {boolean} [decision.notified] - Whether an alert was sent (or queued for the catch-up summary)
+   * @param {number|null} [decision.recipients_count] - Telegram recipients
+   * @param {string|null} [decision.detail] - Human-readable explanation
+   */
+  async addTriggerDecision(checkRunId, decision) {
+    await this._run(
+      `INSERT INTO trigger_decisions
+         (check_run_id, resource_id, reason, previous_count, new_count,
+          step1_counters, step2_search, step3_validation, suppressed,
+          notified, recipients_count, detail, decided_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        checkRunId,
+        decision.resource_id,
+        decision.reason,
+        decision.previous_count ?? null,
+        decision.new_count,
+        decision.step1_counters || null,
+        decision.step2_search || null,
+        decision.step3_validation || null,
+        decision.suppressed || null,
+        decision.notified ? 1 : 0,
+        decision.recipients_count ?? null,
+        decision.detail || null
+      ]
+    );
+  }
+
+  /**
+   * Get the most recent check runs
+   * @param {number} [limit=20] - Maximum number of rows
+   * @returns {Promise<Array>} check_runs rows, newest first
+   */
+  async getCheckRuns(limit = 20) {
+    return this._all('SELECT * FROM check_runs ORDER BY id DESC LIMIT ?', [limit]);
+  }
+
+  /**
+   * Get the most recent trigger decisions of a project
+   * @param {number} resourceId - The resource ID
+   * @param {number} [limit=20] - Maximum number of rows
+   * @returns {Promise<Array>} trigger_decisions rows with the run's check_id, oldest first
+   */
+  async getTriggerDecisions(resourceId, limit = 20) {
+    return this._all(
+      `SELECT * FROM (
+         SELECT d.*, r.check_id FROM trigger_decisions d
+         JOIN check_runs r ON r.id = d.check_run_id
+         WHERE d.resource_id = ?
+         ORDER BY d.decided_at DESC, d.id DESC
+         LIMIT ?
+       ) ORDER BY decided_at ASC, id ASC`,
+      [resourceId, limit]
+    );
+  }
+
+  /**
+   * Delete check runs (and their decisions) started before a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Number of check runs deleted
+   */
+  async pruneAuditTrail(before) {
+    const cutoff = Database.toSqlTime(before);
+    await this._run(
+      `DELETE FROM trigger_decisions WHERE check_run_id IN
+         (SELECT id FROM check_runs WHERE started_at < ?)`,
+      [cutoff]
+    );
+    const { changes } = await this._run('DELETE FROM check_runs WHERE started_at < ?', [cutoff]);
+    return changes;
+  }
+
+  /**
+   * Convert a Date to SQLite's CURRENT_TIMESTAMP format (UTC)
+   * @param {Date} date - Date to convert
+   * @returns {string} Timestamp as 'YYYY-MM-DD HH:MM:SS'
+   */
+  static toSqlTime(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Parse a SQLite CURRENT_TIMESTAMP value (UTC) into a Date
+   * @param {string} value - Timestamp as 'YYYY-MM-DD HH:MM:SS'
+   * @returns {Date} Parsed date
+   */
+  static fromSqlTime(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+
   /**
    * Close database connection
    */
@@ -0,0 +1,378 @@
+import Database from "./database.js";
+import Csv from "./csv.js";
+import logger from "./logger.js";
+
+const log = logger.child({ module: "digest" });
+
+// Asia/Riyadh is UTC+3 all year (no daylight saving time)
+const RIYADH_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries shown per section (the CSV attachment has everything)
+const LIST_LIMIT = 10;
+const FASTEST_LIMIT = 5;
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+/**
+ * Scheduled daily / weekly digest reports
+ * Summarizes the period from the database: projects that opened, sold out or
+ * changed price, plots released per region, fastest sell-outs and projects
+ * still open. Sent as one Telegram message with an optional CSV attachment.
+ */
+class DigestScheduler {
+  /**
+   * @param {object} app - Running AqarBot instance (database, notifier)
+   * @param {object} options
+   * @param {string|null} [options.dailyTime] - Daily digest time "HH:MM" (Riyadh), null disables
+   * @param {string|null} [options.weeklyTime] - Weekly digest time "HH:MM" (Riyadh), null disables
+   * @param {number} [options.weeklyDay=0] - Weekly digest day (0 = Sunday … 6 = Saturday)
+   * @param {boolean} [options.csv=false] - Attach a CSV with every row of the report
+   * @param {Array<string>} [options.chatIds] - Recipients (defaults to all admins)
+   * @throws {Error} If a time or day is invalid
+   */
+  constructor(
+    app,
+    {
+      dailyTime = null,
+      weeklyTime = null,
+      weeklyDay = 0,
+      csv = false,
+      chatIds = null,
+    } = {}
+  ) {
+    this.app = app;
+    this.daily = dailyTime ? DigestScheduler.parseTime(dailyTime) : null;
+    this.weekly = weeklyTime ? DigestScheduler.parseTime(weeklyTime) : null;
+    this.weeklyDay = weeklyDay;
+    this.csv = csv;
+    this.chatIds = chatIds;
+    this.timers = {};
+
+    if (!Number.isInteger(weeklyDay) || weeklyDay < 0 || weeklyDay > 6) {
+      throw new Error(`Invalid digest weekday: ${weeklyDay} (expected 0-6)`);
+    }
+  }
+
+  /**
+   * Schedule the enabled digests
+   */
+  start() {
+    if (this.daily) {
+      this._schedule("daily");
+    }
+    if (this.weekly) {
+      this._schedule("weekly");
+    }
+  }
+
+  /**
+   * Cancel scheduled digests
+   */
+  stop() {
+    for (const timer of Object.values(this.timers)) {
+      clearTimeout(timer);
+    }
+    this.timers = {};
+  }
+
+  /**
+   * Build and send a digest for the period ending now
+   * @param {string} kind - 'daily' or 'weekly'
+   * @param {Array<string>} [chatIds] - Recipients (defaults to the configured chats)
+   * @returns {Promise<object>} The report that was sent
+   */
+  async send(kind, chatIds = this.chatIds || this.app.notifier.adminIds) {
+    const to = new Date();
+    const from = new Date(to.getTime() - PERIOD_DAYS[kind] * DAY_MS);
+    const report = await this.buildReport(from, to);
+    const riyadhDate = new Date(to.getTime() + RIYADH_OFFSET_MS)
+      .toISOString()
+      .slice(0, 10);
+
+    await this.app.notifier.sendDigest(
+      this.formatMessage(kind, report),
+      this.csv
+        ? {
+            filename: `digest-${kind}-${riyadhDate}.csv`,
+            // BOM so spreadsheet apps detect UTF-8 (Arabic names)
+            content: Buffer.from(`\ufeff${this.formatCsv(report)}`, "utf8"),
+          }
+        : null,
+      chatIds
+    );
+
+    log.info(
+      `📰 ${kind} digest sent to ${chatIds.length} chat(s): ${report.opened.length} opened, ${report.soldOut.length} sold out`
+    );
+    return report;
+  }
+
+  /**
+   * Collect the digest data for a period
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @returns {Promise<object>} Report ({ from, to, opened, soldOut, priceChanges,
+   *   releasedByRegion, fastestSellOuts, stillOpen, stillOpenCount })
+   */
+  async buildReport(from, to) {
+    const { database } = this.app;
+    const releases = await database.getReleaseEvents(from, to);
+
+    const releasedByRegion = new Map();
+    for (const event of releases) {
+      const region = event.region || "—";
+      releasedByRegion.set(
+        region,
+        (releasedByRegion.get(region) || 0) + event.released
+      );
+    }
+
+    const fromSql = Database.toSqlTime(from);
+    const toSql = Database.toSqlTime(to);
+    const fastestSellOuts = [];
+    for (const period of (await database.getAvailabilityPeriods())
+      .filter(
+        (p) => p.closed_at && p.closed_at >= fromSql && p.closed_at <= toSql
+      )
+      .sort((a, b) => a.duration_seconds - b.duration_seconds)
+      .slice(0, FASTEST_LIMIT)) {
+      const project = await database.getProject(period.resource_id);
+      fastestSellOuts.push({
+        ...period,
+        project_name: project?.project_name || null,
+      });
+    }
+
+    const stillOpenCount = await database.countAvailableProjects();
+
+    return {
+      from,
+      to,
+      opened: releases.filter((event) => event.previous_count === 0),
+      soldOut: await database.getSoldOutEvents(from, to),
+      priceChanges: await database.getPriceChanges(from, to),
+      releasedByRegion: [...releasedByRegion]
+        .map(([region, released]) => ({ region, released }))
+        .sort((a, b) => b.released - a.released),
+      fastestSellOuts,
+      stillOpen: await database.getAvailableProjects(stillOpenCount, 0),
+      stillOpenCount,
+    };
+  }
+
+  /**
+   * Format a report as one Telegram HTML message (Arabic)
+   * @param {string} kind - 'daily' or 'weekly'
+   * @param {object} report - Report from buildReport
+   * @returns {string} HTML message
+   */
+  formatMessage(kind, report) {
+    const n = this.app.notifier;
+    const name = (row) =>
+      n._escapeHtml(row.project_name || String(row.resource_id));
+
+    let message = `<b>📰 ${
+      kind === "weekly" ? "الملخص الأسبوعي" : "الملخص اليومي"
+    }</b>\n`;
+    message += `🕘 ${n._formatTime(report.from)} — ${n._formatTime(
+      report.to
+    )}\n`;
+
+    const totalReleased = report.releasedByRegion.reduce(
+      (sum, row) => sum + row.released,
+      0
+    );
+    message += `\n🧮 <b>القطع المطروحة:</b> ${totalReleased}\n`;
+    for (const row of report.releasedByRegion.slice(0, LIST_LIMIT)) {
+      message += `   • ${n._escapeHtml(row.region)}: ${row.released}\n`;
+    }
+
+    if (
+      report.opened.length === 0 &&
+      report.soldOut.length === 0 &&
+      report.priceChanges.length === 0
+    ) {
+      message += `\nℹ️ لا توجد تغييرات خلال الفترة\n`;
+    }
+
+    message += this._formatSection(
+      `🔥 مشاريع فُتحت (${report.opened.length})`,
+      report.opened,
+      (row) => `${name(row)} (+${row.released})`
+    );
+    message += this._formatSection(
+      `⛔️ مشاريع نفدت (${report.soldOut.length})`,
+      report.soldOut,
+      (row) => `${name(row)} (كانت ${row.previous_count} وحدة)`
+    );
+    message += this._formatSection(
+      `💰 تغيرات الأسعار (${report.priceChanges.length})`,
+      report.priceChanges,
+      (row) =>
+        `${name(row)}: ${n._formatNumber(
+          row.previous_price,
+          true
+        )} ← ${n._formatNumber(row.new_price, true)}`
+    );
+    message += this._formatSection(
+      `⚡️ الأسرع نفاداً`,
+      report.fastestSellOuts,
+      (row) => `${name(row)}: ${n._formatDuration(row.duration_seconds)}`
+    );
+    message += this._formatSection(
+      `🟢 ما زالت متاحة (${report.stillOpenCount})`,
+      report.stillOpen,
+      (row) => `${name(row)} — ${row.available_units_count} وحدة`
+    );
+
+    return message;
+  }
+
+  /**
+   * Format one list section, truncated to LIST_LIMIT entries
+   * @param {string} title - Section title
+   * @param {Array<object>} rows - Section rows
+   * @param {Function} formatRow - Returns the HTML text of a row
+   * @returns {string} HTML section (empty if there are no rows)
+   */
+  _formatSection(title, rows, formatRow) {
+    if (rows.length === 0) {
+      return "";
+    }
+
+    let section = `\n<b>${title}</b>\n`;
+    for (const row of rows.slice(0, LIST_LIMIT)) {
+      section += `   • ${formatRow(row)}\n`;
+    }
+    if (rows.length > LIST_LIMIT) {
+      section += `   … و${rows.length - LIST_LIMIT} أخرى\n`;
+    }
+    return section;
+  }
+
+  /**
+   * Format a report as CSV (one row per event / open project)
+   * @param {object} report - Report from buildReport
+   * @returns {string} CSV text
+   */
+  formatCsv(report) {
+    const line = (type, row, previous, current, recordedAt) => [
+      type,
+      row.resource_id,
+      row.project_name,
+      row.city,
+      row.region,
+      previous,
+      current,
+      recordedAt,
+    ];
+
+    const rows = [
+      [
+        "type",
+        "resource_id",
+        "project_name",
+        "city",
+        "region",
+        "previous",
+        "current",
+        "recorded_at",
+      ],
+      ...report.opened.map((row) =>
+        line("opened", row, row.previous_count, row.new_count, row.recorded_at)
+      ),
+      ...report.soldOut.map((row) =>
+        line("sold_out", row, row.previous_count, 0, row.recorded_at)
+      ),
+      ...report.priceChanges.map((row) =>
+        line(
+          "price_change",
+          row,
+          row.previous_price,
+          row.new_price,
+          row.recorded_at
+        )
+      ),
+      ...report.stillOpen.map((row) =>
+        line(
+          "still_open",
+          row,
+          null,
+          row.available_units_count,
+          row.last_watched_at
+        )
+      ),
+    ];
+
+    return rows.map((row) => Csv.line(row)).join("\n");
+  }
+
+  /**
+   * Schedule the next run of a digest (and the one after it once it runs)
+   * @param {string} kind - 'daily' or 'weekly'
+   */
+  _schedule(kind) {
+    const delay = this.nextRun(kind).getTime() - Date.now();
+
+    this.timers[kind] = setTimeout(async () => {
+      try {
+        await this.send(kind);
+      } catch (error) {
+        log.error(`❌ ${kind} digest failed`, { error });
+      }
+      this._schedule(kind);
+    }, delay);
+  }
+
+  /**
+   * Next time a digest is due
+   * @param {string} kind - 'daily' or 'weekly'
+   * @param {Date} [now] - Reference time
+   * @returns {Date} Next run time
+   */
+  nextRun(kind, now = new Date()) {
+    const { hours, minutes } = kind === "weekly" ? this.weekly : this.daily;
+    const riyadhNow = new Date(now.getTime() + RIYADH_OFFSET_MS);
+
+    let next =
+      Date.UTC(
+        riyadhNow.getUTCFullYear(),
+        riyadhNow.getUTCMonth(),
+        riyadhNow.getUTCDate(),
+        hours,
+        minutes
+      ) - RIYADH_OFFSET_MS;
+
+    if (kind === "weekly") {
+      const daysAhead = (this.weeklyDay - riyadhNow.getUTCDay() + 7) % 7;
+      next += daysAhead * DAY_MS;
+    }
+
+    if (next <= now.getTime()) {
+      next += (kind === "weekly" ? 7 : 1) * DAY_MS;
+    }
+
+    return new Date(next);
+  }
+
+  /**
+   * Parse a "HH:MM" time
+   * @param {string} value - Time of day
+   * @returns {{hours: number, minutes: number}} Parsed time
+   * @throws {Error} If the value is not a valid time
+   */
+  static parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    const hours = match ? parseInt(match[1], 10) : NaN;
+    const minutes = match ? parseInt(match[2], 10) : NaN;
+
+    if (!(hours >= 0 && hours < 24 && minutes >= 0 && minutes < 60)) {
+      throw new Error(`Invalid digest time: ${value} (expected HH:MM)`);
+    }
+
+    return { hours, minutes };
+  }
+}
+
+export default DigestScheduler;
@@ -0,0 +1,70 @@
+import logger from "./logger.js";
+
+const log = logger.child({ module: "dispatcher" });
+
+/**
+ * Fans notifications out to every enabled channel
+ * Channels are independent: a failure in one never blocks the others
+ */
+class Dispatcher {
+  /**
+   * @param {Array<Channel>} channels - Enabled notification channels
+   */
+  constructor(channels) {
+    this.channels = channels;
+  }
+
+  /**
+   * Send a project notification through all channels
+   * @param {object} project - Verified project data
+   * @param {string} reason - Notification reason
+   * @param {object} [context] - Delivery context passed to each channel (e.g. chatIds)
+   * @returns {Promise<Array<{channel: string, ok: boolean, error?: string}>>} Per-channel results
+   */
+  async notify(project, reason, context = {}) {
+    return this._broadcast((channel) => channel.send(project, reason, context));
+  }
+
+  /**
+   * Send a summary of several projects (e.g. "while you were away") through all channels
+   * @param {Array<object>} projects - Verified projects, each with its `reason`
+   * @param {object} [context] - Delivery context passed to each channel
+   * @returns {Promise<Array<{channel: string, ok: boolean, error?: string}>>} Per-channel results
+   */
+  async notifySummary(projects, context = {}) {
+    return this._broadcast((channel) => channel.sendSummary(projects, context));
+  }
+
+  /**
+   * Send an operational error through all channels that support it
+   * @param {string} errorMessage - Error message
+   * @returns {Promise<Array<{channel: string, ok: boolean, error?: string}>>} Per-channel results
+   */
+  async notifyError(errorMessage) {
+    return this._broadcast((channel) => channel.sendError(errorMessage));
+  }
+
+  /**
+   * Run a delivery on every channel concurrently and log failures
+   * @param {Function} deliver - Receives a channel, returns a promise
+   * @returns {Promise<Array>} Per-channel results
+   */
+  async _broadcast(deliver) {
+    const settled = await Promise.allSettled(
+      this.channels.map((channel) => deliver(channel))
+    );
+
+    return settled.map((result, index) => {
+      const channel = this.channels[index].name;
+
+      if (result.status === "rejected") {
+        log.error("❌ Delivery failed", { channel, error: result.reason });
+        return { channel, ok: false, error: result.reason?.message };
+      }
+
+      return { channel, ok: true };
+    });
+  }
+}
+
+export default Dispatcher;
@@ -0,0 +1,143 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Geographic helpers for geofenced subscriptions
+ * Points are { lat, lon } in degrees; polygons are arrays of points
+ */
+class Geo {
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {{lat: number, lon: number}} a - First point
+   * @param {{lat: number, lon: number}} b - Second point
+   * @returns {number} Distance in km
+   */
+  static distanceKm(a, b) {
+    const dLat = Geo._toRadians(b.lat - a.lat);
+    const dLon = Geo._toRadians(b.lon - a.lon);
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(Geo._toRadians(a.lat)) *
+        Math.cos(Geo._toRadians(b.lat)) *
+        Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Check whether a point lies inside a polygon (ray casting)
+   * @param {{lat: number, lon: number}} point - Point to test
+   * @param {Array<{lat: number, lon: number}>} polygon - Polygon vertices
+   * @returns {boolean} True if the point is inside
+   */
+  static pointInPolygon(point, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if (
+        a.lat > point.lat !== b.lat > point.lat &&
+        point.lon <
+          ((b.lon - a.lon) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lon
+      ) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Distance from a point to a polygon (0 when the point is inside)
+   * Edges are measured on a local flat projection, accurate for city-sized areas
+   * @param {{lat: number, lon: number}} point - Point
+   * @param {Array<{lat: number, lon: number}>} polygon - Polygon vertices
+   * @returns {number} Distance in km
+   */
+  static distanceToPolygonKm(point, polygon) {
+    if (Geo.pointInPolygon(point, polygon)) {
+      return 0;
+    }
+
+    // Equirectangular projection centered on the point (km)
+    const kmPerDegree = (Math.PI / 180) * EARTH_RADIUS_KM;
+    const cosLat = Math.cos(Geo._toRadians(point.lat));
+    const project = (p) => ({
+      x: (p.lon - point.lon) * kmPerDegree * cosLat,
+      y: (p.lat - point.lat) * kmPerDegree,
+    });
+
+    let nearest = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = project(polygon[j]);
+      const b = project(polygon[i]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t =
+        lengthSquared === 0
+          ? 0
+          : Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lengthSquared));
+      nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Average of a polygon's vertices (reference point for distances)
+   * @param {Array<{lat: number, lon: number}>} polygon - Polygon vertices
+   * @returns {{lat: number, lon: number}} Centroid
+   */
+  static centroid(polygon) {
+    const sum = polygon.reduce(
+      (acc, p) => ({ lat: acc.lat + p.lat, lon: acc.lon + p.lon }),
+      { lat: 0, lon: 0 }
+    );
+    return { lat: sum.lat / polygon.length, lon: sum.lon / polygon.length };
+  }
+
+  /**
+   * Parse polygon vertices from text: "lat,lon lat,lon lat,lon" (spaces or ; between points)
+   * @param {string} text - Vertex list
+   * @returns {Array<{lat: number, lon: number}>} Polygon vertices
+   * @throws {Error} If fewer than 3 points are given or a coordinate is out of range
+   */
+  static parsePolygon(text) {
+    const pattern = /(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)/g;
+    const remainder = (text || "").replace(pattern, "").replace(/[\s;]/g, "");
+
+    if (remainder) {
+      throw new Error(`Unrecognized coordinates: ${remainder}`);
+    }
+
+    const polygon = [...(text || "").matchAll(pattern)].map(([, lat, lon]) => ({
+      lat: Number(lat),
+      lon: Number(lon),
+    }));
+
+    if (polygon.length < 3) {
+      throw new Error("A polygon needs at least 3 points");
+    }
+
+    const invalid = polygon.find(
+      (p) => Math.abs(p.lat) > 90 || Math.abs(p.lon) > 180
+    );
+    if (invalid) {
+      throw new Error(`Invalid coordinate: ${invalid.lat},${invalid.lon}`);
+    }
+
+    return polygon;
+  }
+
+  /**
+   * Convert degrees to radians
+   * @param {number} degrees - Angle in degrees
+   * @returns {number} Angle in radians
+   */
+  static _toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+  }
+}
+
+export default Geo;
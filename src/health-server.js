@@ -0,0 +1,108 @@
+import http from "http";
+
+/**
+ * Built-in HTTP server for process supervisors and Prometheus
+ *
+ * GET /healthz - 200 if a check succeeded within the last N intervals, 503 otherwise
+ * GET /metrics - Prometheus text format
+ */
+class HealthServer {
+  /**
+   * @param {object} app - Running AqarBot instance (lastSuccessAt, checkInterval, metrics)
+   * @param {object} options
+   * @param {number} options.port - Port to listen on
+   * @param {string} [options.host='0.0.0.0'] - Interface to bind
+   * @param {number} [options.maxMissedChecks=3] - Intervals without a successful check before unhealthy
+   */
+  constructor(app, { port, host = "0.0.0.0", maxMissedChecks = 3 }) {
+    this.app = app;
+    this.port = port;
+    this.host = host;
+    this.maxMissedChecks = maxMissedChecks;
+    this.startedAt = new Date();
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+  }
+
+  /**
+   * Evaluate bot health
+   * Before the first successful check the bot gets the same grace period from startup
+   * @returns {object} Health report with `healthy` flag
+   */
+  getHealth() {
+    const maxAgeMs = this.maxMissedChecks * this.app.checkInterval * 60 * 1000;
+    const reference = this.app.lastSuccessAt || this.startedAt;
+    const ageMs = Date.now() - reference.getTime();
+
+    return {
+      healthy: ageMs <= maxAgeMs,
+      lastSuccessAt: this.app.lastSuccessAt,
+      lastCheckAt: this.app.lastCheckAt,
+      lastError: this.app.lastError,
+      maxAgeSeconds: maxAgeMs / 1000,
+      circuits: this.app.scraper.getCircuitStates(),
+    };
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") {
+      res.writeHead(405, { "Content-Type": "text/plain" });
+      res.end("Method Not Allowed\n");
+      return;
+    }
+
+    if (pathname === "/healthz") {
+      const health = this.getHealth();
+      res.writeHead(health.healthy ? 200 : 503, {
+        "Content-Type": "application/json",
+      });
+      res.end(
+        JSON.stringify({ status: health.healthy ? "ok" : "stale", ...health })
+      );
+      return;
+    }
+
+    if (pathname === "/metrics") {
+      res.writeHead(200, {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      });
+      res.end(this.app.metrics.render());
+      return;
+    }
+
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not Found\n");
+  }
+}
+
+export default HealthServer;
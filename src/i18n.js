@@ -0,0 +1,216 @@
+/**
+ * Locale used for chats that never picked one with /lang
+ */
+const DEFAULT_LOCALE = "ar";
+
+/**
+ * Message catalogs: key → template with {placeholders}
+ * Every key must exist in every locale (the Arabic text is the fallback)
+ */
+const CATALOGS = {
+  ar: {
+    "header.available": "🔥 عاجل: توفرت قطع جديدة!",
+    "header.restocked": "♻️ عاجل: عادت القطع للتوفر!",
+    "header.increased": "📈 تمت إضافة قطع جديدة!",
+    "header.sold_out": "⛔️ نفدت القطع",
+    "header.price_changed": "💰 تغير سعر المشروع",
+    "header.new_project": "🆕 مشروع جديد على سكني",
+
+    "alert.name": "الاسم",
+    "alert.category": "الفئة",
+    "alert.location": "الموقع",
+    "alert.distance": "المسافة",
+    "alert.price": "السعر",
+    "alert.developer": "المطور",
+    "alert.units": "الوحدات المتاحة",
+    "alert.sold_out": "نفدت",
+    "alert.maps": "عرض على خرائط جوجل",
+    "alert.updated_at": "آخر تحديث",
+    "alert.default_developer": "وزارة الشؤون البلدية والقروية والإسكان",
+
+    "units.count": "{count} وحدة",
+    "units.increased": "{count} وحدة (+{added})",
+    "units.sold_out": "نفدت",
+    "units.sold_out_was": "نفدت (كانت {count} وحدة)",
+    "units.not_released": "لم تُطرح بعد",
+
+    "button.book": "🔗 احجز الآن عبر سكني",
+    "button.view": "🔗 عرض المشروع على سكني",
+
+    "unknown.title": "⚠️ مشروع جديد - بيانات غير متوفرة",
+    "unknown.resource_id": "معرف المشروع",
+    "unknown.note": "ملاحظة: سيتم تحديث تفاصيل المشروع خلال الساعة القادمة",
+
+    "summary.header": "🕘 أثناء غياب البوت: توفرت قطع في {count} مشروع",
+    "summary.since": "🕘 منذ {time}",
+
+    "error.title": "⚠️ خطأ في البوت",
+
+    "distance.km": "{km} كم",
+    "price.arrow": "←",
+    percent: "{value}٪",
+    "duration.days": "{n} ي",
+    "duration.hours": "{n} س",
+    "duration.minutes": "{n} د",
+
+    "lang.name": "العربية",
+    "lang.current": "🌐 لغة التنبيهات: {name}",
+    "lang.usage": "للتغيير: {commands}",
+    "lang.set": "✅ ستصلك التنبيهات باللغة العربية",
+    "lang.unsupported":
+      "❌ لغة غير مدعومة: {locale}\nاللغات المتاحة: {commands}",
+  },
+
+  en: {
+    "header.available": "🔥 Urgent: new plots available!",
+    "header.restocked": "♻️ Urgent: plots are available again!",
+    "header.increased": "📈 More plots were added!",
+    "header.sold_out": "⛔️ Sold out",
+    "header.price_changed": "💰 Project price changed",
+    "header.new_project": "🆕 New project on Sakani",
+
+    "alert.name": "Name",
+    "alert.category": "Category",
+    "alert.location": "Location",
+    "alert.distance": "Distance",
+    "alert.price": "Price",
+    "alert.developer": "Developer",
+    "alert.units": "Available units",
+    "alert.sold_out": "Sold out",
+    "alert.maps": "View on Google Maps",
+    "alert.updated_at": "Last update",
+    "alert.default_developer":
+      "Ministry of Municipal, Rural Affairs and Housing",
+
+    "units.count": "{count} units",
+    "units.increased": "{count} units (+{added})",
+    "units.sold_out": "sold out",
+    "units.sold_out_was": "sold out (was {count} units)",
+    "units.not_released": "not released yet",
+
+    "button.book": "🔗 Book now on Sakani",
+    "button.view": "🔗 View project on Sakani",
+
+    "unknown.title": "⚠️ New project - details not available yet",
+    "unknown.resource_id": "Project ID",
+    "unknown.note": "Note: the project details will be added within the hour",
+
+    "summary.header":
+      "🕘 While the bot was offline: plots became available in {count} project(s)",
+    "summary.since": "🕘 Since {time}",
+
+    "error.title": "⚠️ Bot Error",
+
+    "distance.km": "{km} km",
+    "price.arrow": "→",
+    percent: "{value}%",
+    "duration.days": "{n}d",
+    "duration.hours": "{n}h",
+    "duration.minutes": "{n}m",
+
+    "lang.name": "English",
+    "lang.current": "🌐 Alert language: {name}",
+    "lang.usage": "To change it: {commands}",
+    "lang.set": "✅ Alerts will now be sent in English",
+    "lang.unsupported":
+      "❌ Unsupported language: {locale}\nAvailable: {commands}",
+  },
+};
+
+/**
+ * Intl locale used for numbers and currency
+ */
+const NUMBER_LOCALES = { ar: "ar-SA", en: "en-US" };
+
+/**
+ * Message catalogs and locale-aware formatting for notifications
+ */
+class I18n {
+  /**
+   * Supported locale codes
+   * @returns {Array<string>} e.g. ['ar', 'en']
+   */
+  static get locales() {
+    return Object.keys(CATALOGS);
+  }
+
+  /**
+   * Locale for chats without a preference
+   * @returns {string} Locale code
+   */
+  static get defaultLocale() {
+    return DEFAULT_LOCALE;
+  }
+
+  /**
+   * Message catalog of a locale
+   * @param {string} locale - Supported locale code
+   * @returns {object} Key → template (a copy)
+   */
+  static catalog(locale) {
+    return { ...CATALOGS[locale] };
+  }
+
+  /**
+   * Check whether a locale is supported
+   * @param {string} locale - Locale code
+   * @returns {boolean} True if there is a catalog for it
+   */
+  static isSupported(locale) {
+    return Object.prototype.hasOwnProperty.call(CATALOGS, locale);
+  }
+
+  /**
+   * Translate a message key
+   * @param {string} locale - Locale code (unsupported locales use the default)
+   * @param {string} key - Catalog key (e.g. 'alert.price')
+   * @param {object} [params] - Values for the {placeholders}
+   * @returns {string} Translated text
+   * @throws {Error} If the key is not in the default catalog
+   */
+  static t(locale, key, params = {}) {
+    const catalog =
+      CATALOGS[I18n.isSupported(locale) ? locale : DEFAULT_LOCALE];
+    const template = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+    if (template === undefined) {
+      throw new Error(`Missing translation: ${key}`);
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in params ? String(params[name]) : placeholder
+    );
+  }
+
+  /**
+   * Pick the text for a locale from a profile setting
+   * Profile labels and headers are either one string or { ar, en, ... }
+   * @param {string|object|null} value - Text or text per locale
+   * @param {string} locale - Locale code
+   * @returns {string|null} Text
+   */
+  static pick(value, locale) {
+    if (value === null || value === undefined || typeof value === "string") {
+      return value ?? null;
+    }
+    return value[locale] ?? value[DEFAULT_LOCALE] ?? null;
+  }
+
+  /**
+   * Format a number (or a SAR amount) for a locale
+   * @param {number} num - Number to format
+   * @param {string} locale - Locale code
+   * @param {boolean} [isCurrency=false] - Format as Saudi riyals
+   * @returns {string} Formatted number
+   */
+  static formatNumber(num, locale, isCurrency = false) {
+    const options = isCurrency
+      ? { style: "currency", currency: "SAR", maximumFractionDigits: 0 }
+      : { style: "decimal" };
+    return new Intl.NumberFormat(
+      NUMBER_LOCALES[locale] || NUMBER_LOCALES[DEFAULT_LOCALE],
+      options
+    ).format(num);
+  }
+}
+
+export default I18n;
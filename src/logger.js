@@ -0,0 +1,218 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Leveled logger with JSON (production) or pretty (development) output
+ *
+ * Every module logs through a child of the shared logger that names it:
+ *   const log = logger.child({ module: "scraper" });
+ *   log.info("✅ Received counters", { count: 42 });
+ *
+ * Fields set with withContext() (e.g. the check ID of a runCheck) are added
+ * to every line logged inside the callback, across awaits.
+ */
+class Logger {
+  /**
+   * @param {Logger|null} [root] - Shared logger holding the settings (null for the root itself)
+   * @param {object} [context] - Fields added to every line (e.g. { module })
+   */
+  constructor(root = null, context = {}) {
+    this.root = root || this;
+    this.context = context;
+
+    if (!root) {
+      this.storage = new AsyncLocalStorage();
+      this.settings = null;
+    }
+  }
+
+  /**
+   * Set the level and output format
+   * Missing options fall back to LOG_LEVEL / LOG_FORMAT (json when NODE_ENV=production)
+   * @param {object} [options]
+   * @param {string} [options.level] - 'debug', 'info', 'warn', 'error' or 'silent'
+   * @param {string} [options.format] - 'json' or 'pretty'
+   * @param {Function} [options.write] - Output (line, level); stdout / stderr by default
+   * @throws {Error} If the level or format is unknown
+   */
+  configure({ level, format, write } = {}) {
+    level = (level || process.env.LOG_LEVEL || "info").toLowerCase();
+    format = (
+      format ||
+      process.env.LOG_FORMAT ||
+      (process.env.NODE_ENV === "production" ? "json" : "pretty")
+    ).toLowerCase();
+
+    if (!(level in LEVELS)) {
+      throw new Error(
+        `Unknown log level: ${level} (expected ${Object.keys(LEVELS).join(
+          ", "
+        )})`
+      );
+    }
+    if (format !== "json" && format !== "pretty") {
+      throw new Error(
+        `Unknown log format: ${format} (expected json or pretty)`
+      );
+    }
+
+    this.root.settings = { level, format, write: write || Logger._write };
+  }
+
+  /**
+   * Create a logger that adds fields to every line
+   * @param {object} context - Fields (e.g. { module: 'bot' })
+   * @returns {Logger} Child logger sharing this logger's settings
+   */
+  child(context) {
+    return new Logger(this.root, { ...this.context, ...context });
+  }
+
+  /**
+   * Run a function with fields added to every line it logs (across awaits)
+   * @param {object} context - Fields (e.g. { check_id })
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's return value
+   */
+  withContext(context, fn) {
+    const store = this.root.storage.getStore();
+    return this.root.storage.run({ ...store, ...context }, fn);
+  }
+
+  /**
+   * Short random ID for correlating the lines of one run
+   * @returns {string} 8 hex characters
+   */
+  newId() {
+    return randomUUID().slice(0, 8);
+  }
+
+  /**
+   * Check whether a level is logged (to skip building expensive fields)
+   * @param {string} level - Level name
+   * @returns {boolean} True if lines of this level are written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this._settings().level];
+  }
+
+  debug(message, fields) {
+    this._log("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this._log("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this._log("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this._log("error", message, fields);
+  }
+
+  /**
+   * Current settings (configured from the environment on first use)
+   * @returns {object} Settings ({ level, format, write })
+   */
+  _settings() {
+    if (!this.root.settings) {
+      this.root.configure();
+    }
+    return this.root.settings;
+  }
+
+  /**
+   * Format and write one line
+   * @param {string} level - Level name
+   * @param {string} message - Message
+   * @param {object} [fields] - Extra fields; Error values are reduced to message and code
+   */
+  _log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const { format, write } = this._settings();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...this.context,
+      ...this.root.storage.getStore(),
+      msg: message,
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] =
+        value instanceof Error ? Logger._serializeError(value) : value;
+    }
+
+    write(
+      format === "json" ? JSON.stringify(entry) : Logger._pretty(entry),
+      level
+    );
+  }
+
+  /**
+   * Render an entry for a terminal (a stack trace follows on its own lines):
+   * 12:00:00 INFO  [bot] message key=value (check_id=1a2b3c4d)
+   * @param {object} entry - Log entry
+   * @returns {string} Line
+   */
+  static _pretty({ time, level, module, msg, check_id, stack, ...fields }) {
+    const extra = Object.entries(fields)
+      .map(([key, value]) => {
+        const text =
+          typeof value === "object" && value !== null
+            ? JSON.stringify(value)
+            : String(value);
+        return `${key}=${text}`;
+      })
+      .join(" ");
+
+    return [
+      new Date(time).toTimeString().slice(0, 8),
+      level.toUpperCase().padEnd(5),
+      module ? `[${module}]` : null,
+      msg,
+      extra || null,
+      check_id ? `(check_id=${check_id})` : null,
+    ]
+      .filter((part) => part !== null)
+      .join(" ")
+      .concat(stack ? `\n${stack}` : "");
+  }
+
+  /**
+   * Reduce an error to loggable fields
+   * @param {Error} error - Error
+   * @returns {object} { message, code?, status? }
+   */
+  static _serializeError(error) {
+    const serialized = { message: error.message };
+    if (error.code) {
+      serialized.code = error.code;
+    }
+    if (error.response?.status) {
+      serialized.status = error.response.status;
+    }
+    return serialized;
+  }
+
+  /**
+   * Default output: warnings and errors to stderr, the rest to stdout
+   * @param {string} line - Formatted line
+   * @param {string} level - Level name
+   */
+  static _write(line, level) {
+    const stream =
+      level === "warn" || level === "error" ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+}
+
+const logger = new Logger();
+
+export default logger;
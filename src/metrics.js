@@ -0,0 +1,224 @@
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Minimal in-process metrics registry rendered in Prometheus text format
+ * Supports counters, gauges and histograms with labels
+ */
+class Metrics {
+  constructor(prefix = "aqar") {
+    this.prefix = prefix;
+    this.definitions = new Map();
+    this.values = new Map();
+
+    this.define(
+      "histogram",
+      "check_duration_seconds",
+      "Duration of a full runCheck cycle"
+    );
+    this.define("counter", "checks_total", "Completed checks by status");
+    this.define(
+      "gauge",
+      "last_success_timestamp_seconds",
+      "Unix time of the last successful check"
+    );
+    this.define(
+      "histogram",
+      "api_request_duration_seconds",
+      "Sakani API request latency per attempt",
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    );
+    this.define(
+      "counter",
+      "api_errors_total",
+      "Failed Sakani API request attempts"
+    );
+    this.define(
+      "gauge",
+      "circuit_state",
+      "Circuit breaker state per API (0 closed, 1 half-open, 2 open)"
+    );
+    this.define(
+      "counter",
+      "triggers_total",
+      "Triggers detected by reason (one per trigger decision)"
+    );
+    this.define(
+      "counter",
+      "suppressed_triggers_total",
+      "Triggers not announced because of flap suppression, by reason and cause"
+    );
+    this.define(
+      "counter",
+      "verification_outcomes_total",
+      "Step 2 (search) and Step 3 (validation) outcomes"
+    );
+    this.define(
+      "counter",
+      "notifications_total",
+      "Notifications delivered per channel and status"
+    );
+  }
+
+  /**
+   * Register a metric
+   * @param {string} type - 'counter', 'gauge' or 'histogram'
+   * @param {string} name - Metric name without prefix
+   * @param {string} help - HELP text
+   * @param {Array<number>} [buckets] - Histogram bucket upper bounds
+   */
+  define(type, name, help, buckets = DEFAULT_BUCKETS) {
+    this.definitions.set(name, { type, help, buckets });
+    this.values.set(name, new Map());
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} name - Metric name
+   * @param {object} [labels] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  inc(name, labels = {}, value = 1) {
+    const series = this._series(name, labels, () => ({ value: 0 }));
+    series.value += value;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {object} [labels] - Label values
+   * @param {number} value - New value
+   */
+  set(name, labels = {}, value) {
+    const series = this._series(name, labels, () => ({ value: 0 }));
+    series.value = value;
+  }
+
+  /**
+   * Observe a histogram value
+   * @param {string} name - Metric name
+   * @param {object} [labels] - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(name, labels = {}, value) {
+    const { buckets } = this.definitions.get(name);
+    const series = this._series(name, labels, () => ({
+      counts: buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Record the Step 2 / Step 3 outcomes of a trigger (runCheck notificationData)
+   * @param {object} notificationData - Trigger outcome built by runCheck
+   */
+  recordVerification(notificationData) {
+    if (notificationData.step2_search) {
+      this.inc("verification_outcomes_total", {
+        step: "step2_search",
+        outcome: notificationData.step2_search,
+      });
+    }
+
+    if (notificationData.step3_validation) {
+      this.inc("verification_outcomes_total", {
+        step: "step3_validation",
+        outcome: notificationData.step3_validation,
+      });
+    }
+  }
+
+  /**
+   * Render all metrics in Prometheus text exposition format
+   * @returns {string} Metrics text
+   */
+  render() {
+    const lines = [];
+
+    for (const [name, { type, help, buckets }] of this.definitions) {
+      const fullName = `${this.prefix}_${name}`;
+      lines.push(`# HELP ${fullName} ${help}`);
+      lines.push(`# TYPE ${fullName} ${type}`);
+
+      for (const [key, series] of this.values.get(name)) {
+        const labels = JSON.parse(key);
+
+        if (type !== "histogram") {
+          lines.push(`${fullName}${this._labels(labels)} ${series.value}`);
+          continue;
+        }
+
+        buckets.forEach((bound, index) => {
+          lines.push(
+            `${fullName}_bucket${this._labels({
+              ...labels,
+              le: String(bound),
+            })} ${series.counts[index]}`
+          );
+        });
+        lines.push(
+          `${fullName}_bucket${this._labels({ ...labels, le: "+Inf" })} ${
+            series.count
+          }`
+        );
+        lines.push(`${fullName}_sum${this._labels(labels)} ${series.sum}`);
+        lines.push(`${fullName}_count${this._labels(labels)} ${series.count}`);
+      }
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Get or create the series for a label set
+   * @param {string} name - Metric name
+   * @param {object} labels - Label values
+   * @param {Function} create - Factory for a new series
+   * @returns {object} Series state
+   */
+  _series(name, labels, create) {
+    const values = this.values.get(name);
+    if (!values) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+
+    const key = JSON.stringify(
+      Object.fromEntries(Object.entries(labels).sort())
+    );
+    if (!values.has(key)) {
+      values.set(key, create());
+    }
+    return values.get(key);
+  }
+
+  /**
+   * Format a label set
+   * @param {object} labels - Label values
+   * @returns {string} `{a="1",b="2"}` or an empty string
+   */
+  _labels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return "";
+    }
+
+    const formatted = entries.map(
+      ([key, value]) =>
+        `${key}="${String(value)
+          .replace(/\\/g, "\\\\")
+          .replace(/\n/g, "\\n")
+          .replace(/"/g, '\\"')}"`
+    );
+    return `{${formatted.join(",")}}`;
+  }
+}
+
+export default Metrics;
@@ -0,0 +1,282 @@
+import logger from './logger.js';
+
+const log = logger.child({ module: 'migrations' });
+
+/**
+ * Ordered schema migrations
+ *
+ * Each migration runs once, inside a transaction, and is recorded in the
+ * schema_version table. Never edit or reorder a released migration: add a
+ * new one with the next version number instead.
+ *
+ * `up(tx)` receives { run(sql, params), all(sql, params), get(sql, params) }.
+ */
+
+/**
+ * Columns of the current projects table
+ */
+const PROJECTS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS projects (
+  resource_id INTEGER PRIMARY KEY,
+  project_name TEXT,
+  available_units_count INTEGER DEFAULT 0,
+  min_non_bene_price REAL,
+  location_lat REAL,
+  location_lon REAL,
+  city TEXT,
+  region TEXT,
+  developer_name TEXT,
+  banner_url TEXT,
+  views_count INTEGER,
+  project_type TEXT,
+  bookable INTEGER DEFAULT 0,
+  last_indexed_at DATETIME,
+  last_watched_at DATETIME,
+  last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+/**
+ * Legacy (pre resource_id) column → current column
+ */
+const LEGACY_PROJECT_COLUMNS = {
+  name: 'project_name',
+  price: 'min_non_bene_price',
+  lat: 'location_lat',
+  lon: 'location_lon',
+  image: 'banner_url',
+  last_unit_count: 'available_units_count'
+};
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create_projects',
+    async up(tx) {
+      const columns = await tx.all('PRAGMA table_info(projects)');
+      const hasNewSchema = columns.some(
+        (col) => col.name === 'resource_id' && col.type === 'INTEGER'
+      );
+
+      if (columns.length === 0 || hasNewSchema) {
+        await tx.run(PROJECTS_TABLE_SQL);
+        return;
+      }
+
+      // Legacy table keyed by a TEXT `id` (e.g. "1004" or "project_1004"):
+      // keep the rows by copying them into the new structure
+      log.info('🔄 Converting legacy projects table...');
+      await tx.run('ALTER TABLE projects RENAME TO projects_legacy');
+      await tx.run(PROJECTS_TABLE_SQL);
+
+      const legacyNames = new Set(columns.map((col) => col.name));
+      const targets = ['resource_id'];
+      const sources = ["CAST(REPLACE(id, 'project_', '') AS INTEGER)"];
+
+      for (const [legacy, current] of Object.entries(LEGACY_PROJECT_COLUMNS)) {
+        if (legacyNames.has(legacy)) {
+          targets.push(current);
+          sources.push(legacy);
+        } else if (legacyNames.has(current)) {
+          targets.push(current);
+          sources.push(current);
+        }
+      }
+
+      await tx.run(
+        `INSERT OR IGNORE INTO projects (${targets.join(', ')})
+         SELECT ${sources.join(', ')} FROM projects_legacy
+         WHERE CAST(REPLACE(id, 'project_', '') AS INTEGER) > 0`
+      );
+      await tx.run('DROP TABLE projects_legacy');
+    }
+  },
+  {
+    version: 2,
+    name: 'create_subscribers',
+    async up(tx) {
+      await tx.run(`CREATE TABLE IF NOT EXISTS subscribers (
+        chat_id TEXT PRIMARY KEY,
+        city TEXT,
+        region TEXT,
+        max_price REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+    }
+  },
+  {
+    version: 3,
+    name: 'create_unit_count_history',
+    async up(tx) {
+      await tx.run(`CREATE TABLE IF NOT EXISTS unit_count_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        resource_id INTEGER NOT NULL,
+        previous_count INTEGER,
+        new_count INTEGER NOT NULL,
+        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await tx.run(`CREATE INDEX IF NOT EXISTS idx_unit_count_history_project
+        ON unit_count_history (resource_id, recorded_at)`);
+    }
+  },
+  {
+    version: 4,
+    name: 'add_projects_profile',
+    async up(tx) {
+      // Name of the watch profile whose search returned the project
+      await tx.run('ALTER TABLE projects ADD COLUMN profile TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'create_locations',
+    async up(tx) {
+      // Shared location / polygon per chat (geofence and /near)
+      await tx.run(`CREATE TABLE IF NOT EXISTS locations (
+        chat_id TEXT PRIMARY KEY,
+        latitude REAL,
+        longitude REAL,
+        radius_km REAL,
+        polygon TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+    }
+  },
+  {
+    version: 6,
+    name: 'add_flap_suppression',
+    async up(tx) {
+      // Consecutive checks at 0 units (NULL: at 0 since before tracking, i.e. armed)
+      await tx.run('ALTER TABLE projects ADD COLUMN zero_checks INTEGER');
+      // Last opening alert (available / restocked / increased) and last alert reason
+      await tx.run('ALTER TABLE projects ADD COLUMN last_alerted_at DATETIME');
+      await tx.run('ALTER TABLE projects ADD COLUMN last_alert_reason TEXT');
+      // Per-project overrides of ALERT_COOLDOWN_MINUTES / REARM_ZERO_CHECKS
+      await tx.run('ALTER TABLE projects ADD COLUMN cooldown_minutes INTEGER');
+      await tx.run('ALTER TABLE projects ADD COLUMN rearm_checks INTEGER');
+    }
+  },
+  {
+    version: 7,
+    name: 'create_alert_messages',
+    async up(tx) {
+      // Telegram alerts kept up to date with the live unit count until sold out
+      await tx.run(`CREATE TABLE IF NOT EXISTS alert_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        resource_id INTEGER NOT NULL,
+        chat_id TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        has_photo INTEGER NOT NULL DEFAULT 0,
+        distance_km REAL,
+        units_count INTEGER,
+        sold_out INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await tx.run(`CREATE INDEX IF NOT EXISTS idx_alert_messages_resource
+        ON alert_messages (resource_id, sold_out)`);
+    }
+  },
+  {
+    version: 8,
+    name: 'create_price_history',
+    async up(tx) {
+      await tx.run(`CREATE TABLE IF NOT EXISTS price_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        resource_id INTEGER NOT NULL,
+        previous_price REAL NOT NULL,
+        new_price REAL NOT NULL,
+        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await tx.run(`CREATE INDEX IF NOT EXISTS idx_price_history_recorded
+        ON price_history (recorded_at)`);
+    }
+  },
+  {
+    version: 9,
+    name: 'add_projects_announcement_pending',
+    async up(tx) {
+      // New projects announced without metadata; the full alert follows once indexed
+      await tx.run(
+        'ALTER TABLE projects ADD COLUMN announcement_pending INTEGER NOT NULL DEFAULT 0'
+      );
+    }
+  },
+  {
+    version: 10,
+    name: 'add_projects_muted',
+    async up(tx) {
+      // Projects muted from the CLI: counts are recorded, alerts are not sent
+      await tx.run('ALTER TABLE projects ADD COLUMN muted INTEGER NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 11,
+    name: 'create_audit_trail',
+    async up(tx) {
+      // One row per runCheck (check_id matches the log lines of the run)
+      await tx.run(`CREATE TABLE IF NOT EXISTS check_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        check_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        counters_count INTEGER,
+        search_results_count INTEGER,
+        triggers_count INTEGER NOT NULL DEFAULT 0,
+        notifications_count INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME
+      )`);
+      await tx.run(`CREATE INDEX IF NOT EXISTS idx_check_runs_started
+        ON check_runs (started_at)`);
+
+      // One row per trigger: step outcomes and whether anyone was notified
+      await tx.run(`CREATE TABLE IF NOT EXISTS trigger_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        check_run_id INTEGER NOT NULL,
+        resource_id INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        previous_count INTEGER,
+        new_count INTEGER NOT NULL,
+        step1_counters TEXT,
+        step2_search TEXT,
+        step3_validation TEXT,
+        suppressed TEXT,
+        notified INTEGER NOT NULL DEFAULT 0,
+        recipients_count INTEGER,
+        detail TEXT,
+        decided_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await tx.run(`CREATE INDEX IF NOT EXISTS idx_trigger_decisions_project
+        ON trigger_decisions (resource_id, decided_at)`);
+      await tx.run(`CREATE INDEX IF NOT EXISTS idx_trigger_decisions_run
+        ON trigger_decisions (check_run_id)`);
+    }
+  },
+  {
+    version: 12,
+    name: 'create_chat_settings',
+    async up(tx) {
+      // Per-chat preferences (locale chosen with /lang)
+      await tx.run(`CREATE TABLE IF NOT EXISTS chat_settings (
+        chat_id TEXT PRIMARY KEY,
+        locale TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+    }
+  },
+  {
+    version: 13,
+    name: 'create_bot_state',
+    async up(tx) {
+      // Flags shared between the bot and the CLI (e.g. a baseline reset is pending)
+      await tx.run(`CREATE TABLE IF NOT EXISTS bot_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+    }
+  }
+];
+
+export default migrations;
@@ -1,104 +1,461 @@
 import TelegramBot from "node-telegram-bot-api";
 import Scraper from "./scraper.js";
+import Channel from "./channels/channel.js";
+import I18n from "./i18n.js";
+import logger from "./logger.js";
+
+const log = logger.child({ module: "notifier" });
+
+const TELEGRAM_MESSAGE_LIMIT = 4000; // Telegram allows 4096, keep a margin
+
+// Alerts edited with the live unit count (sold-out and price alerts are final)
+const LIVE_REASONS = ["available", "restocked", "increased"];
 
 /**
  * Telegram Notifier for sending land availability alerts
+ * The Telegram implementation of the notification Channel interface
  */
-class Notifier {
-  constructor(botToken, adminIds) {
-    this.bot = new TelegramBot(botToken, { polling: false });
+class Notifier extends Channel {
+  /**
+   * @param {string} botToken - Telegram bot token
+   * @param {Array<string>} adminIds - Admin chat IDs
+   * @param {object} [options]
+   * @param {Function} [options.onAlertSent] - Called with (project, reason, messages) after an alert is posted, so it can be edited later
+   * @param {string} [options.baseApiUrl] - Telegram Bot API base URL (defaults to https://api.telegram.org)
+   */
+  constructor(botToken, adminIds, { onAlertSent = null, baseApiUrl } = {}) {
+    super("telegram");
+    this.bot = new TelegramBot(botToken, { polling: false, baseApiUrl });
     this.adminIds = adminIds; // Now an array of chat IDs
+    this.onAlertSent = onAlertSent;
+    // Chat ID → locale chosen with /lang (other chats get the default)
+    this.locales = new Map();
+  }
+
+  /**
+   * Get the locale of a chat
+   * @param {string|number} chatId - Telegram chat ID
+   * @returns {string} Locale code
+   */
+  getLocale(chatId) {
+    return this.locales.get(String(chatId)) || I18n.defaultLocale;
+  }
+
+  /**
+   * Set the locale of a chat (used for every later message to it)
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {string} locale - Supported locale code
+   */
+  setLocale(chatId, locale) {
+    this.locales.set(String(chatId), locale);
+  }
+
+  /**
+   * Channel interface: deliver an alert to Telegram chats
+   * @param {object} project - Verified project data
+   * @param {string} reason - Notification reason
+   * @param {object} [context]
+   * @param {Array<string>} [context.chatIds] - Recipients (defaults to all admins)
+   * @param {object} [context.template] - Watch profile template
+   * @param {Map<string, number>} [context.distances] - Distance in km from each chat's shared location
+   */
+  async send(
+    project,
+    reason,
+    { chatIds, template = null, distances = null } = {}
+  ) {
+    if (project.details_pending) {
+      await this.sendUnknownProjectNotification(
+        project.resource_id,
+        project.available_units_count,
+        chatIds
+      );
+      return;
+    }
+
+    await this.sendNotification(project, reason, chatIds, {
+      template,
+      distances,
+    });
+  }
+
+  /**
+   * Channel interface: deliver a "while you were away" summary
+   * Each chat receives only its own projects; long lists are split into
+   * several messages to stay under Telegram's 4096 character limit
+   * @param {Array<object>} projects - Verified projects
+   * @param {object} [context]
+   * @param {Map<string, Array<object>>} [context.projectsByChat] - Projects per chat, with the chat's `distance_km` when known (defaults to all projects for admins)
+   * @param {Date|null} [context.since] - Start of the downtime
+   * @throws {Error} If no chat received the summary
+   */
+  async sendSummary(projects, { projectsByChat = null, since = null } = {}) {
+    const byChat =
+      projectsByChat ||
+      new Map(this.adminIds.map((chatId) => [chatId, projects]));
+    let delivered = 0;
+
+    for (const [chatId, chatProjects] of byChat) {
+      const messages = this._formatSummaryMessages(
+        chatProjects,
+        since,
+        this.getLocale(chatId)
+      );
+      for (const message of messages) {
+        try {
+          await this.bot.sendMessage(chatId, message, {
+            parse_mode: "HTML",
+            disable_web_page_preview: true,
+          });
+          delivered++;
+        } catch (error) {
+          log.error(
+            `[Telegram Error] Failed to send catch-up summary to ${chatId}`,
+            { error }
+          );
+        }
+      }
+    }
+
+    if (byChat.size > 0 && delivered === 0) {
+      throw new Error("Catch-up summary could not be sent to any chat");
+    }
+  }
+
+  /**
+   * Format the "while you were away" summary as one or more HTML messages
+   * @param {Array<object>} projects - Verified projects
+   * @param {Date|null} since - Start of the downtime
+   * @param {string} [locale] - Locale code
+   * @returns {Array<string>} HTML messages
+   */
+  _formatSummaryMessages(projects, since, locale = I18n.defaultLocale) {
+    let header = `<b>${this._getSummaryHeader(projects.length, locale)}</b>\n`;
+    if (since) {
+      header += `${I18n.t(locale, "summary.since", {
+        time: this._formatTime(since),
+      })}\n`;
+    }
+
+    const entries = projects.map((project) => {
+      const location = this._formatLocation(project);
+      let entry = `\n📍 <a href="${Scraper.generateProjectUrl(
+        project.resource_id
+      )}">${this._escapeHtml(
+        project.project_name || String(project.resource_id)
+      )}</a>\n`;
+      if (location) {
+        entry += `🌍 ${this._escapeHtml(location)}\n`;
+      }
+      entry += `⚡️ ${I18n.t(locale, "units.count", {
+        count: project.available_units_count,
+      })}`;
+      if (project.distance_km != null) {
+        entry += ` — 📏 ${this._formatDistance(project.distance_km, locale)}`;
+      }
+      if (project.min_non_bene_price) {
+        entry += ` — 💰 ${this._formatNumber(
+          project.min_non_bene_price,
+          true,
+          locale
+        )}`;
+      }
+      return `${entry}\n`;
+    });
+
+    const messages = [];
+    let current = header;
+    for (const entry of entries) {
+      if (current.length + entry.length > TELEGRAM_MESSAGE_LIMIT) {
+        messages.push(current);
+        current = "";
+      }
+      current += entry;
+    }
+    messages.push(current);
+
+    return messages;
   }
 
   /**
-   * Send notification about land availability to all admins
+   * Send a digest report, optionally followed by a CSV attachment
+   * @param {string} message - HTML message
+   * @param {{filename: string, content: Buffer}|null} attachment - Optional CSV file
+   * @param {Array<string>} [chatIds] - Recipients (defaults to all admins)
+   */
+  async sendDigest(message, attachment = null, chatIds = this.adminIds) {
+    for (const chatId of chatIds) {
+      try {
+        await this.bot.sendMessage(chatId, message, {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+        });
+
+        if (attachment) {
+          await this.bot.sendDocument(
+            chatId,
+            attachment.content,
+            {},
+            { filename: attachment.filename, contentType: "text/csv" }
+          );
+        }
+      } catch (error) {
+        log.error(`[Telegram Error] Failed to send digest to ${chatId}`, {
+          error,
+        });
+      }
+    }
+  }
+
+  /**
+   * Channel interface: deliver an operational error to admins
+   * @param {string} errorMessage - Error message
+   */
+  async sendError(errorMessage) {
+    await this.sendErrorNotification(errorMessage);
+  }
+
+  /**
+   * Send notification about land availability
    * @param {object} project - Project data
-   * @param {string} reason - Notification reason ('new_listing' or 'restocked')
+   * @param {string} reason - Notification reason ('available', 'new_project', 'restocked', 'increased', 'sold_out' or 'price_changed')
+   * @param {Array<string>} [chatIds] - Recipients (defaults to all admins)
+   * @param {object} [options]
+   * @param {object|null} [options.template] - Watch profile template ({ label, headers })
+   * @param {Map<string, number>|null} [options.distances] - Distance in km per chat (shown when known)
    */
-  async sendNotification(project, reason) {
-    const messageCaption = this._formatMessage(project, reason);
-    const options = this._createMessageOptions(project.resource_id);
+  async sendNotification(
+    project,
+    reason,
+    chatIds = this.adminIds,
+    { template = null, distances = null } = {}
+  ) {
     const bannerUrl = project.banner_url;
+    const sent = [];
+
+    for (const chatId of chatIds) {
+      const locale = this.getLocale(chatId);
+      const options = this._createMessageOptions(
+        project.resource_id,
+        reason,
+        locale
+      );
+      const distanceKm = distances?.get(String(chatId)) ?? null;
+      const messageCaption = this._formatMessage(
+        project,
+        reason,
+        template,
+        distanceKm,
+        { locale }
+      );
+      const record = (message, hasPhoto) =>
+        sent.push({
+          chat_id: chatId,
+          message_id: message.message_id,
+          has_photo: hasPhoto,
+          distance_km: distanceKm,
+          units_count: project.available_units_count,
+        });
 
-    for (const chatId of this.adminIds) {
       try {
         if (bannerUrl && bannerUrl.trim() !== "") {
           // Try sending photo with caption
-          await this.bot.sendPhoto(chatId, bannerUrl, {
-            caption: messageCaption,
-            ...options,
-          });
+          record(
+            await this.bot.sendPhoto(chatId, bannerUrl, {
+              caption: messageCaption,
+              ...options,
+            }),
+            true
+          );
         } else {
           // No banner, send text only
-          await this.bot.sendMessage(chatId, messageCaption, {
-            ...options,
-            disable_web_page_preview: true,
-          });
+          record(
+            await this.bot.sendMessage(chatId, messageCaption, {
+              ...options,
+              disable_web_page_preview: true,
+            }),
+            false
+          );
         }
       } catch (error) {
-        console.error(
-          `[Telegram Error] Failed to send photo/message to ${chatId}:`,
-          error.message
+        log.error(
+          `[Telegram Error] Failed to send photo/message to ${chatId}`,
+          { error }
         );
 
         // Fallback: If photo fails, try sending text only
         if (bannerUrl) {
           try {
-            await this.bot.sendMessage(chatId, messageCaption, {
-              ...options,
-              disable_web_page_preview: true,
-            });
+            record(
+              await this.bot.sendMessage(chatId, messageCaption, {
+                ...options,
+                disable_web_page_preview: true,
+              }),
+              false
+            );
           } catch (retryError) {
-            console.error(
+            log.error(
               `[Telegram Critical] Even text fallback failed for ${chatId}`
             );
           }
         }
       }
     }
+
+    if (this.onAlertSent && LIVE_REASONS.includes(reason) && sent.length > 0) {
+      try {
+        await this.onAlertSent(project, reason, sent);
+      } catch (error) {
+        log.error(
+          `[Telegram Error] Failed to record alert messages for ${project.resource_id}`,
+          { error }
+        );
+      }
+    }
   }
 
   /**
-   * Format notification message with HTML (Arabic)
+   * Edit a posted alert to show the live unit count (in the chat's locale)
+   * Sold-out projects are marked "نفدت" and lose the booking button
+   * @param {object} alert - Alert message row ({ chat_id, message_id, reason, has_photo, distance_km })
+   * @param {object} project - Project data with the current available_units_count
+   * @param {object|null} [template] - Watch profile template ({ label, headers })
+   * @returns {Promise<boolean>} False if the message no longer exists
+   */
+  async updateAlertMessage(alert, project, template = null) {
+    const soldOut = project.available_units_count === 0;
+    const locale = this.getLocale(alert.chat_id);
+    const text = this._formatMessage(
+      project,
+      alert.reason,
+      template,
+      alert.distance_km,
+      { updatedAt: new Date(), locale }
+    );
+    const options = {
+      chat_id: alert.chat_id,
+      message_id: alert.message_id,
+      ...this._createMessageOptions(
+        project.resource_id,
+        soldOut ? "sold_out" : alert.reason,
+        locale
+      ),
+    };
+
+    try {
+      if (alert.has_photo) {
+        await this.bot.editMessageCaption(text, options);
+      } else {
+        await this.bot.editMessageText(text, {
+          ...options,
+          disable_web_page_preview: true,
+        });
+      }
+    } catch (error) {
+      const description = error.response?.body?.description || error.message;
+      if (/message is not modified/i.test(description)) {
+        return true;
+      }
+      if (/message to edit not found|chat not found/i.test(description)) {
+        return false;
+      }
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Format notification message with HTML
    * @param {object} project - Project data
    * @param {string} reason - Notification reason
+   * @param {object|null} [template] - Watch profile template ({ label, headers })
+   * @param {number|null} [distanceKm] - Distance from the recipient's shared location
+   * @param {object} [options]
+   * @param {Date|null} [options.updatedAt] - When set, the message is a live update:
+   *   it shows the current count (or "نفدت") and the update time
+   * @param {string} [options.locale] - Recipient's locale code
    * @returns {string} Formatted HTML message
    */
-  _formatMessage(project, reason) {
+  _formatMessage(
+    project,
+    reason,
+    template = null,
+    distanceKm = null,
+    { updatedAt = null, locale = I18n.defaultLocale } = {}
+  ) {
+    const t = (key, params) => I18n.t(locale, key, params);
     const developerName =
-      project.developer_name || "وزارة الشؤون البلدية والقروية والإسكان";
-    const priceFormatted = this._formatNumber(project.min_non_bene_price, true);
+      project.developer_name || t("alert.default_developer");
+    const priceFormatted = this._formatNumber(
+      project.min_non_bene_price,
+      true,
+      locale
+    );
     const mapsLink = Scraper.generateMapsLink(
       project.location_lat,
       project.location_lon
     );
 
-    // Format location string
-    let locationStr = "";
-    if (project.city && project.region) {
-      locationStr = `${project.city} - ${project.region}`;
-    } else if (project.city) {
-      locationStr = project.city;
-    } else if (project.region) {
-      locationStr = project.region;
-    }
+    const locationStr = this._formatLocation(project);
+    const label = I18n.pick(template?.label, locale);
+    const header = this._getHeader(reason, template, locale);
 
-    let message = `<b>🔥 عاجل: توفرت قطع جديدة!</b>\n\n`;
-    message += `📍 <b>الاسم:</b> ${this._escapeHtml(project.project_name)}\n`;
+    const soldOut = updatedAt !== null && project.available_units_count === 0;
+    let message = soldOut
+      ? `<s>${header}</s>\n<b>⛔️ ${t("alert.sold_out")}</b>\n\n`
+      : `<b>${header}</b>\n\n`;
+    message += `📍 <b>${t("alert.name")}:</b> ${this._escapeHtml(
+      project.project_name
+    )}\n`;
+
+    if (label) {
+      message += `🏷 <b>${t("alert.category")}:</b> ${this._escapeHtml(
+        label
+      )}\n`;
+    }
 
     if (locationStr) {
-      message += `🌍 <b>الموقع:</b> ${this._escapeHtml(locationStr)}\n`;
+      message += `🌍 <b>${t("alert.location")}:</b> ${this._escapeHtml(
+        locationStr
+      )}\n`;
     }
 
-    message += `💰 <b>السعر:</b> ${priceFormatted}\n`;
-    message += `⚡️ <b>الوحدات المتاحة:</b> ${project.available_units_count} وحدة\n`;
+    if (distanceKm !== null) {
+      message += `📏 <b>${t("alert.distance")}:</b> ${this._formatDistance(
+        distanceKm,
+        locale
+      )}\n`;
+    }
+
+    message += `💰 <b>${t("alert.price")}:</b> ${
+      project.previous_price
+        ? this._formatPriceChange(project, locale)
+        : priceFormatted
+    }\n`;
+    message +=
+      updatedAt === null
+        ? this._formatUnitsLine(project, reason, locale)
+        : this._formatUnitsLine(
+            { ...project, previous_units_count: null },
+            soldOut ? "sold_out" : "available",
+            locale
+          );
 
     if (project.developer_name) {
-      message += `🏢 <b>المطور:</b> ${this._escapeHtml(developerName)}\n`;
+      message += `🏢 <b>${t("alert.developer")}:</b> ${this._escapeHtml(
+        developerName
+      )}\n`;
     }
 
     if (mapsLink) {
-      message += `\n🗺 <a href="${mapsLink}">عرض على خرائط جوجل</a>`;
+      message += `\n🗺 <a href="${mapsLink}">${t("alert.maps")}</a>`;
+    }
+
+    if (updatedAt !== null) {
+      message += `\n\n🔄 <b>${t("alert.updated_at")}:</b> ${this._formatTime(
+        updatedAt
+      )}`;
     }
 
     message += `\n\n<code>ID: ${project.resource_id}</code>`;
@@ -107,39 +464,69 @@ class Notifier {
   }
 
   /**
-   * Send fallback notification for unknown projects (used by Watcher)
+   * Format the available units line for a notification reason
+   * @param {object} project - Project data (previous_units_count is optional)
+   * @param {string} reason - Notification reason
+   * @param {string} [locale] - Locale code
+   * @returns {string} HTML line ending with a newline
+   */
+  _formatUnitsLine(project, reason, locale = I18n.defaultLocale) {
+    const t = (key, params) => I18n.t(locale, key, params);
+    const previous = project.previous_units_count;
+    const count = project.available_units_count;
+
+    if (reason === "sold_out") {
+      const units = previous
+        ? t("units.sold_out_was", { count: previous })
+        : t("units.sold_out");
+      return `⛔️ <b>${t("alert.units")}:</b> ${units}\n`;
+    }
+
+    if (!count) {
+      return `⏳ <b>${t("alert.units")}:</b> ${t("units.not_released")}\n`;
+    }
+
+    if (reason === "increased" && previous) {
+      return `⚡️ <b>${t("alert.units")}:</b> ${t("units.increased", {
+        count,
+        added: count - previous,
+      })}\n`;
+    }
+
+    return `⚡️ <b>${t("alert.units")}:</b> ${t("units.count", { count })}\n`;
+  }
+
+  /**
+   * Send the fallback alert for a new project without metadata yet (see send())
    * @param {number} resourceId - Resource ID
    * @param {number} count - Unit count
+   * @param {Array<string>} [chatIds] - Recipients (defaults to all admins)
    */
-  async sendUnknownProjectNotification(resourceId, count) {
-    const message = `<b>⚠️ مشروع جديد - بيانات غير متوفرة</b>
-
-🆔 <b>معرف المشروع:</b> ${resourceId}
-⚡️ <b>الوحدات المتاحة:</b> ${count} وحدة
+  async sendUnknownProjectNotification(
+    resourceId,
+    count,
+    chatIds = this.adminIds
+  ) {
+    for (const chatId of chatIds) {
+      const locale = this.getLocale(chatId);
+      const t = (key, params) => I18n.t(locale, key, params);
+      const message = `<b>${t("unknown.title")}</b>
 
-<i>ملاحظة: سيتم تحديث تفاصيل المشروع خلال الساعة القادمة</i>`;
+🆔 <b>${t("unknown.resource_id")}:</b> ${resourceId}
+⚡️ <b>${t("alert.units")}:</b> ${t("units.count", { count })}
 
-    const options = {
-      parse_mode: "HTML",
-      reply_markup: {
-        inline_keyboard: [
-          [
-            {
-              text: "🔗 عرض المشروع على سكني",
-              url: Scraper.generateProjectUrl(resourceId),
-            },
-          ],
-        ],
-      },
-    };
+<i>${t("unknown.note")}</i>`;
 
-    for (const chatId of this.adminIds) {
       try {
-        await this.bot.sendMessage(chatId, message, options);
+        await this.bot.sendMessage(
+          chatId,
+          message,
+          this._createMessageOptions(resourceId, "new_project", locale)
+        );
       } catch (error) {
-        console.error(
-          `[Telegram Error] Failed to send fallback notification to ${chatId}:`,
-          error.message
+        log.error(
+          `[Telegram Error] Failed to send fallback notification to ${chatId}`,
+          { error }
         );
       }
     }
@@ -148,9 +535,11 @@ class Notifier {
   /**
    * Create message options with inline keyboard
    * @param {number} resourceId - Resource ID
+   * @param {string} [reason] - Notification reason (sold-out and new-project alerts get a view-only button)
+   * @param {string} [locale] - Locale code of the button label
    * @returns {object} Message options object
    */
-  _createMessageOptions(resourceId) {
+  _createMessageOptions(resourceId, reason, locale = I18n.defaultLocale) {
     const projectUrl = Scraper.generateProjectUrl(resourceId);
 
     return {
@@ -159,7 +548,12 @@ class Notifier {
         inline_keyboard: [
           [
             {
-              text: "🔗 احجز الآن عبر سكني",
+              text: I18n.t(
+                locale,
+                reason === "sold_out" || reason === "new_project"
+                  ? "button.view"
+                  : "button.book"
+              ),
               url: projectUrl,
             },
           ],
@@ -168,64 +562,23 @@ class Notifier {
     };
   }
 
-  /**
-   * Format number with Arabic locale
-   * @param {number} num - Number to format
-   * @param {boolean} isCurrency - Whether to format as currency
-   * @returns {string} Formatted number string
-   */
-  _formatNumber(num, isCurrency = false) {
-    const options = isCurrency
-      ? { style: "currency", currency: "SAR", maximumFractionDigits: 0 }
-      : { style: "decimal" };
-    return new Intl.NumberFormat("ar-SA", options).format(num);
-  }
-
-  /**
-   * Get project type in Arabic
-   * @param {string} type - Project type from API
-   * @returns {string} Arabic project type
-   */
-  _getProjectType(type) {
-    if (type === "lands_moh_land") return "أرض وزارة إسكان 🇸🇦";
-    return type || "مشروع سكني";
-  }
-
-  /**
-   * Escape HTML special characters
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
-   */
-  _escapeHtml(text) {
-    const map = {
-      "&": "&amp;",
-      "<": "&lt;",
-      ">": "&gt;",
-      '"': "&quot;",
-      "'": "&#39;",
-    };
-    return text?.replace(/[&<>"']/g, (m) => map[m]) || text;
-  }
-
   /**
    * Send error notification to all admins
    * @param {string} errorMessage - Error message
    */
   async sendErrorNotification(errorMessage) {
-    const message = `⚠️ <b>Bot Error</b>\n\n<code>${this._escapeHtml(
-      errorMessage
-    )}</code>`;
-
     for (const chatId of this.adminIds) {
+      const message = `<b>${I18n.t(
+        this.getLocale(chatId),
+        "error.title"
+      )}</b>\n\n<code>${this._escapeHtml(errorMessage)}</code>`;
+
       try {
         await this.bot.sendMessage(chatId, message, {
           parse_mode: "HTML",
         });
       } catch (error) {
-        console.error(
-          `Failed to send error notification to ${chatId}:`,
-          error.message
-        );
+        log.error(`Failed to send error notification to ${chatId}`, { error });
       }
     }
   }
@@ -0,0 +1,197 @@
+import fs from "fs";
+
+const DEFAULT_SEARCH_BASE_URL =
+  "https://sakani.sa/marketplaceApi/search/v3/location";
+
+/**
+ * Query parameters sent with every search (same as the original SEARCH_API_URL)
+ */
+const BASE_QUERY = {
+  "filter[nhc]": "false",
+  "filter[mode]": "maps",
+  "filter[purchasing_power]": "0",
+  "filter[use_default_listing]": "false",
+  sort: "-views_count",
+};
+
+/**
+ * Structured filter name → Search API query parameter
+ */
+const FILTER_PARAMS = {
+  marketplace_purpose: "filter[marketplace_purpose]",
+  product_types: "filter[product_types]",
+  land_type: "filter[land_type]",
+  target_segment: "filter[target_segment_info]",
+};
+
+/**
+ * The profile used when no profiles file is configured (Ministry of Housing lands)
+ */
+const DEFAULT_PROFILE = {
+  name: "moh_lands",
+  label: "أراضي وزارة الإسكان",
+  filters: {
+    marketplace_purpose: "buy",
+    product_types: ["lands"],
+    land_type: "moh_lands",
+    target_segment: "beneficiary",
+  },
+  project_types: ["lands_moh_land"],
+};
+
+/**
+ * A named watch profile: Search API filters, accepted project types and
+ * notification template
+ */
+class SearchProfile {
+  /**
+   * @param {object} config - Profile definition
+   * @param {string} config.name - Unique profile name (stored on each project)
+   * @param {string|object} [config.label] - Human readable category shown in alerts (or one per locale: { ar, en })
+   * @param {object} [config.filters] - marketplace_purpose, product_types, land_type, target_segment
+   * @param {object} [config.extra_filters] - Additional raw query parameters
+   * @param {Array<string>} config.project_types - Accepted `project_type` values (Step 2)
+   * @param {object} [config.headers] - Alert headers per reason (available, restocked, increased, sold_out), each a string or { ar, en }
+   * @param {string} [config.counters_key] - Counters API key (default `<purpose>_units_count`)
+   * @param {string} [config.url] - Full pre-encoded Search API URL (overrides filters)
+   * @param {string} [baseUrl] - Search API base URL
+   */
+  constructor(config, baseUrl = DEFAULT_SEARCH_BASE_URL) {
+    SearchProfile.validate(config);
+
+    this.name = config.name;
+    this.label = config.label || null;
+    this.filters = config.filters || {};
+    this.extraFilters = config.extra_filters || {};
+    this.projectTypes = config.project_types;
+    this.headers = config.headers || {};
+    this.countersKey =
+      config.counters_key ||
+      `${this.filters.marketplace_purpose || "buy"}_units_count`;
+    this.url = config.url || this.buildUrl(baseUrl);
+  }
+
+  /**
+   * Build the Search API URL for this profile's filters
+   * @param {string} baseUrl - Search API base URL
+   * @returns {string} URL with encoded query string
+   */
+  buildUrl(baseUrl) {
+    const params = new URLSearchParams();
+
+    for (const [filter, param] of Object.entries(FILTER_PARAMS)) {
+      const value = this.filters[filter];
+      if (value !== undefined && value !== null) {
+        params.set(param, Array.isArray(value) ? value.join(",") : value);
+      }
+    }
+
+    for (const [param, value] of Object.entries({
+      ...BASE_QUERY,
+      ...this.extraFilters,
+    })) {
+      params.set(param, value);
+    }
+
+    return `${baseUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Whether a project type is accepted by this profile (Step 2)
+   * @param {string} projectType - project_type from the API
+   * @returns {boolean} True if accepted
+   */
+  accepts(projectType) {
+    return this.projectTypes.includes(projectType);
+  }
+
+  /**
+   * Notification template passed to channels
+   * @returns {{profile: string, label: string|object|null, headers: object}} Template
+   */
+  get template() {
+    return { profile: this.name, label: this.label, headers: this.headers };
+  }
+
+  /**
+   * Validate a profile definition
+   * @param {object} config - Profile definition
+   * @throws {Error} If the definition is invalid
+   */
+  static validate(config) {
+    if (!config || typeof config.name !== "string" || !config.name) {
+      throw new Error("Profile is missing a name");
+    }
+
+    if (
+      !Array.isArray(config.project_types) ||
+      config.project_types.length === 0
+    ) {
+      throw new Error(
+        `Profile '${config.name}' must list at least one project_types value`
+      );
+    }
+
+    const unknown = Object.keys(config.filters || {}).filter(
+      (key) => !FILTER_PARAMS[key]
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Profile '${config.name}' has unknown filters: ${unknown.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Load watch profiles
+   * - PROFILES_PATH: JSON file with an array of profile definitions
+   * - otherwise SEARCH_API_URL (legacy single pre-encoded URL) or the default MOH lands profile
+   * @param {object} env - Environment variables
+   * @returns {Array<SearchProfile>} Profiles
+   */
+  static load(env) {
+    const baseUrl = env.SEARCH_API_BASE_URL || DEFAULT_SEARCH_BASE_URL;
+
+    if (env.PROFILES_PATH) {
+      const configs = JSON.parse(fs.readFileSync(env.PROFILES_PATH, "utf8"));
+      return SearchProfile.fromConfigs(configs, baseUrl);
+    }
+
+    return [
+      new SearchProfile(
+        env.SEARCH_API_URL
+          ? { ...DEFAULT_PROFILE, url: env.SEARCH_API_URL }
+          : DEFAULT_PROFILE,
+        baseUrl
+      ),
+    ];
+  }
+
+  /**
+   * Build profiles from a list of definitions
+   * @param {Array<object>} configs - Profile definitions
+   * @param {string} [baseUrl] - Search API base URL
+   * @returns {Array<SearchProfile>} Profiles
+   * @throws {Error} If the list is empty or names are duplicated
+   */
+  static fromConfigs(configs, baseUrl = DEFAULT_SEARCH_BASE_URL) {
+    if (!Array.isArray(configs) || configs.length === 0) {
+      throw new Error("Profiles must be a non-empty array");
+    }
+
+    const profiles = configs.map(
+      (config) => new SearchProfile(config, baseUrl)
+    );
+    const names = profiles.map((profile) => profile.name);
+    const duplicate = names.find(
+      (name, index) => names.indexOf(name) !== index
+    );
+    if (duplicate) {
+      throw new Error(`Duplicate profile name: ${duplicate}`);
+    }
+
+    return profiles;
+  }
+}
+
+export default SearchProfile;
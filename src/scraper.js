@@ -1,39 +1,310 @@
 import axios from "axios";
 import fs from "fs";
 import path from "path";
+import CircuitBreaker from "./circuit-breaker.js";
+import logger from "./logger.js";
+
+const log = logger.child({ module: "scraper" });
+
+// Numeric circuit states exported as the circuit_state gauge
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+// Safety cap on Search API pages walked per search
+const MAX_SEARCH_PAGES = 500;
+
+const DEFAULT_VALIDATION_API_URL =
+  "https://sakani.sa/mainIntermediaryApi/v4/projects";
+
+const REQUEST_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+  Accept: "application/json",
+};
 
 /**
  * API Scraper for fetching land availability data
  * Hybrid Architecture: Supports both Search API (metadata) and Counters API (unit counts)
  */
 class Scraper {
-  constructor(searchApiUrl, countersApiUrl) {
+  /**
+   * @param {string} searchApiUrl - Search API URL
+   * @param {string} countersApiUrl - Counters API URL
+   * @param {object} [options]
+   * @param {number} [options.maxRetries=3] - Retries after the first attempt
+   * @param {number} [options.baseDelay=1000] - Initial backoff delay in ms
+   * @param {number} [options.maxDelay=30000] - Maximum backoff / Retry-After delay in ms
+   * @param {number} [options.failureThreshold=5] - Failed requests before a circuit opens
+   * @param {number} [options.resetTimeout=300000] - Time in ms a circuit stays open
+   * @param {Function} [options.onCircuitChange] - Called with (endpoint, newState, previousState)
+   * @param {Metrics} [options.metrics] - Registry for API latency, error and circuit metrics
+   * @param {number} [options.searchPageSize=100] - Projects requested per Search API page
+   * @param {number} [options.searchConcurrency=3] - Search API pages fetched in parallel
+   * @param {string} [options.validationApiUrl] - Validation API projects URL (mainIntermediaryApi)
+   * @param {object} [options.timeouts] - Per-attempt timeouts in ms ({ counters, search, validation })
+   */
+  constructor(searchApiUrl, countersApiUrl, options = {}) {
     this.searchApiUrl = searchApiUrl;
     this.countersApiUrl = countersApiUrl;
+    this.metrics = options.metrics || null;
+
+    this.retry = {
+      maxRetries: options.maxRetries ?? 3,
+      baseDelay: options.baseDelay ?? 1000,
+      maxDelay: options.maxDelay ?? 30000,
+    };
+
+    this.search = {
+      pageSize: options.searchPageSize ?? 100,
+      concurrency: Math.max(options.searchConcurrency ?? 3, 1),
+      maxPages: MAX_SEARCH_PAGES,
+    };
+
+    this.setValidationApiUrl(options.validationApiUrl);
+
+    this.timeouts = {
+      counters: 15000, // faster endpoint
+      search: 30000,
+      validation: 10000,
+      ...options.timeouts,
+    };
+
+    // One circuit breaker per endpoint
+    const breakerOptions = {
+      failureThreshold: options.failureThreshold ?? 5,
+      resetTimeout: options.resetTimeout ?? 300000,
+    };
+    this.breakers = {};
+    for (const endpoint of ["counters", "search", "validation"]) {
+      this.breakers[endpoint] = new CircuitBreaker(
+        endpoint,
+        breakerOptions,
+        (name, state, previousState) => {
+          this.metrics?.set(
+            "circuit_state",
+            { api: name },
+            CIRCUIT_STATE_VALUES[state]
+          );
+          options.onCircuitChange?.(name, state, previousState);
+        }
+      );
+      this.metrics?.set("circuit_state", { api: endpoint }, 0);
+    }
+  }
+
+  /**
+   * Set the Validation API projects URL (also used when the config file changes)
+   * @param {string|null} url - URL, or null for the default mainIntermediaryApi endpoint
+   */
+  setValidationApiUrl(url) {
+    this.validationApiUrl = (url || DEFAULT_VALIDATION_API_URL).replace(
+      /\/+$/,
+      ""
+    );
+  }
+
+  /**
+   * Get circuit breaker states for all endpoints
+   * @returns {Array<object>} State snapshots
+   */
+  getCircuitStates() {
+    return Object.values(this.breakers).map((breaker) => breaker.getState());
+  }
+
+  /**
+   * GET a URL with retries (exponential backoff + jitter) behind the endpoint's circuit breaker
+   * Retries network errors, timeouts, 5xx and 429 (honouring Retry-After);
+   * other HTTP errors are returned to the caller immediately
+   * @param {string} endpoint - 'counters', 'search' or 'validation'
+   * @param {string} url - URL to fetch
+   * @param {number} timeout - Per-attempt timeout in ms
+   * @param {object} [options]
+   * @param {number} [options.maxRetries] - Retries after the first attempt (defaults to the scraper's)
+   * @returns {Promise<object>} Axios response
+   */
+  async _request(
+    endpoint,
+    url,
+    timeout,
+    { maxRetries = this.retry.maxRetries } = {}
+  ) {
+    const breaker = this.breakers[endpoint];
+
+    if (!breaker.canRequest()) {
+      throw breaker.createOpenError();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const response = await axios.get(url, {
+          headers: REQUEST_HEADERS,
+          timeout,
+        });
+        this._recordLatency(endpoint, startedAt);
+        breaker.recordSuccess();
+        log.debug(`${endpoint} API responded`, {
+          url,
+          status: response.status,
+          duration_ms: Date.now() - startedAt,
+        });
+        return response;
+      } catch (error) {
+        this._recordLatency(endpoint, startedAt);
+        this.metrics?.inc("api_errors_total", {
+          api: endpoint,
+          status: error.response?.status || error.code || "unknown",
+        });
+
+        if (!this._isRetryable(error)) {
+          // A client error (e.g. 404) still shows the endpoint is up
+          if (error.response) {
+            breaker.recordSuccess();
+          } else {
+            breaker.endTrial();
+          }
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(error, attempt);
+        if (attempt >= maxRetries || delay === null) {
+          breaker.recordFailure(error);
+          throw error;
+        }
+
+        log.warn(
+          `⏳ ${endpoint} API attempt ${attempt + 1} failed (${
+            error.response?.status || error.code || error.message
+          }) - retrying in ${Math.round(delay)}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Record the latency of one request attempt
+   * @param {string} endpoint - API name
+   * @param {number} startedAt - Attempt start time (ms)
+   */
+  _recordLatency(endpoint, startedAt) {
+    this.metrics?.observe(
+      "api_request_duration_seconds",
+      { api: endpoint },
+      (Date.now() - startedAt) / 1000
+    );
+  }
+
+  /**
+   * Whether a failed request is worth retrying
+   * @param {Error} error - Axios error
+   * @returns {boolean} True for network errors, timeouts, 5xx and 429
+   */
+  _isRetryable(error) {
+    if (!error.response) {
+      return Boolean(error.request) || error.code === "ECONNABORTED";
+    }
+
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * @param {Error} error - Axios error
+   * @param {number} attempt - 0-based attempt number that just failed
+   * @returns {number|null} Delay in ms, or null if Retry-After exceeds maxDelay
+   */
+  _getRetryDelay(error, attempt) {
+    const retryAfter = this._parseRetryAfter(
+      error.response?.headers?.["retry-after"]
+    );
+
+    if (retryAfter !== null) {
+      return retryAfter <= this.retry.maxDelay ? retryAfter : null;
+    }
+
+    // Exponential backoff with jitter: random value in [delay/2, delay]
+    const delay = Math.min(
+      this.retry.baseDelay * 2 ** attempt,
+      this.retry.maxDelay
+    );
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @param {string} [value] - Header value
+   * @returns {number|null} Delay in ms or null if absent/invalid
+   */
+  _parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
   }
 
   /**
-   * Fetch projects from Search API (used by Indexer)
-   * @returns {Promise<Array>} Array of normalized project objects with metadata
+   * Fetch every page of a Search API search (used by Indexer)
+   * The page count comes from the response meta when available; otherwise
+   * pages are followed one by one until there is no next page
+   * @param {string} [url] - Search URL (defaults to the configured Search API URL)
+   * @returns {Promise<Map<number, object>>} Normalized projects keyed by resource_id
    */
-  async fetchSearchAPI() {
+  async fetchSearchAPI(url = this.searchApiUrl) {
     try {
-      const response = await axios.get(this.searchApiUrl, {
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-          Accept: "application/json",
-        },
-        timeout: 30000, // 30 seconds timeout
-      });
+      const { maxPages } = this.search;
+      const first = await this._fetchSearchPage(url, 1);
+      const pages = [first.data];
+      const totalPages = this._getTotalPages(first);
+      let truncated;
 
-      if (!response.data || !response.data.data) {
-        throw new Error("Invalid Search API response structure");
+      if (totalPages) {
+        const remaining = [];
+        for (let page = 2; page <= Math.min(totalPages, maxPages); page++) {
+          remaining.push(page);
+        }
+
+        const bodies = await this._mapConcurrent(remaining, (page) =>
+          this._fetchSearchPage(url, page)
+        );
+        pages.push(...bodies.map((body) => body.data));
+        truncated = totalPages > maxPages;
+      } else {
+        let body = first;
+        while (this._hasNextPage(body) && pages.length < maxPages) {
+          body = await this._fetchSearchPage(url, pages.length + 1);
+          pages.push(body.data);
+        }
+        truncated = this._hasNextPage(body);
+      }
+
+      if (truncated) {
+        log.warn(
+          `⚠️  Search API: stopped at the ${maxPages}-page cap with more pages left - projects on later pages are missing`,
+          { url, total_pages: totalPages }
+        );
       }
 
-      return this._normalizeSearchResponse(response.data.data);
+      const projects = new Map();
+      for (const project of this._normalizeSearchResponse(pages.flat())) {
+        projects.set(project.resource_id, project);
+      }
+
+      log.info(
+        `📄 Search API: ${projects.size} projects from ${pages.length} page(s)`
+      );
+      return projects;
     } catch (error) {
-      if (error.response) {
+      if (error.code === "CIRCUIT_OPEN") {
+        throw error;
+      } else if (error.response) {
         throw new Error(
           `Search API Error: ${error.response.status} - ${error.response.statusText}`
         );
@@ -45,28 +316,108 @@ class Scraper {
     }
   }
 
+  /**
+   * Fetch one Search API page
+   * @param {string} url - Search URL
+   * @param {number} page - Page number (1-based)
+   * @returns {Promise<object>} Response body ({ data, meta, links })
+   */
+  async _fetchSearchPage(url, page) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set("page[number]", page);
+    pageUrl.searchParams.set("page[size]", this.search.pageSize);
+
+    const response = await this._request(
+      "search",
+      pageUrl.toString(),
+      this.timeouts.search
+    );
+
+    if (!response.data || !Array.isArray(response.data.data)) {
+      throw new Error("Invalid Search API response structure");
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Read the total page count from a Search API response
+   * @param {object} body - Response body
+   * @returns {number|null} Total pages or null if the response does not say
+   */
+  _getTotalPages(body) {
+    const meta = body.meta || {};
+    const pages = meta.total_pages ?? meta.pagination?.total_pages;
+    if (pages) {
+      return parseInt(pages, 10);
+    }
+
+    const total = meta.total ?? meta.total_count ?? meta.pagination?.total;
+    return total ? Math.ceil(total / this.search.pageSize) : null;
+  }
+
+  /**
+   * Whether another Search API page follows
+   * Uses the `links.next` link when present, otherwise assumes a full page has a successor
+   * @param {object} body - Response body
+   * @returns {boolean} True if there is a next page
+   */
+  _hasNextPage(body) {
+    if (body.links) {
+      return Boolean(body.links.next);
+    }
+
+    return body.data.length >= this.search.pageSize;
+  }
+
+  /**
+   * Run an async function over items with at most `search.concurrency` in flight
+   * @param {Array} items - Items to process
+   * @param {Function} fn - Async function called with each item
+   * @returns {Promise<Array>} Results in item order
+   */
+  async _mapConcurrent(items, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index]);
+      }
+    };
+
+    await Promise.all(
+      Array.from(
+        { length: Math.min(this.search.concurrency, items.length) },
+        worker
+      )
+    );
+    return results;
+  }
+
   /**
    * Fetch unit counts from Counters API (used by Watcher)
+   * @param {Array<string>} [keys] - Response keys to read (e.g. buy_units_count, rent_units_count)
    * @returns {Promise<Array>} Array of {resource_id, count} objects
    */
-  async fetchCountersAPI() {
+  async fetchCountersAPI(keys = ["buy_units_count"]) {
     try {
-      const response = await axios.get(this.countersApiUrl, {
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-          Accept: "application/json",
-        },
-        timeout: 15000, // 15 seconds timeout (faster endpoint)
-      });
+      const response = await this._request(
+        "counters",
+        this.countersApiUrl,
+        this.timeouts.counters
+      );
 
-      if (!response.data || !response.data.buy_units_count) {
+      if (!response.data || !keys.some((key) => response.data[key])) {
         throw new Error("Invalid Counters API response structure");
       }
 
-      return this._normalizeCountersResponse(response.data);
+      return this._normalizeCountersResponse(response.data, keys);
     } catch (error) {
-      if (error.response) {
+      if (error.code === "CIRCUIT_OPEN") {
+        throw error;
+      } else if (error.response) {
         throw new Error(
           `Counters API Error: ${error.response.status} - ${error.response.statusText}`
         );
@@ -109,15 +460,25 @@ class Scraper {
 
   /**
    * Normalize Counters API response into array of resource_id/count pairs
+   * Counts for the same project under several keys are added together
    * @param {object} data - Raw data from Counters API
+   * @param {Array<string>} [keys] - Response keys to read
    * @returns {Array} Array of {resource_id: number, count: number} objects
    */
-  _normalizeCountersResponse(data) {
-    const buyUnitsCount = data.buy_units_count || {};
-    return Object.entries(buyUnitsCount).map(([id, count]) => ({
-      resource_id: parseInt(id, 10),
-      count: parseInt(count, 10) || 0,
-    }));
+  _normalizeCountersResponse(data, keys = ["buy_units_count"]) {
+    const counts = new Map();
+
+    for (const key of keys) {
+      for (const [id, count] of Object.entries(data[key] || {})) {
+        const resourceId = parseInt(id, 10);
+        counts.set(
+          resourceId,
+          (counts.get(resourceId) || 0) + (parseInt(count, 10) || 0)
+        );
+      }
+    }
+
+    return [...counts].map(([resource_id, count]) => ({ resource_id, count }));
   }
 
   /**
@@ -140,26 +501,30 @@ class Scraper {
    */
   async validateProject(resourceId) {
     try {
-      const validationUrl = `https://sakani.sa/mainIntermediaryApi/v4/projects/${resourceId}?include=amenities`;
+      const validationUrl = `${this.validationApiUrl}/${resourceId}?include=amenities`;
 
-      console.log(`🔍 Validating project ${resourceId}...`);
+      log.info(`🔍 Validating project ${resourceId}...`);
 
-      const response = await axios.get(validationUrl, {
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-          Accept: "application/json",
-        },
-        timeout: 10000, // 10 seconds timeout
+      // Step 3 is a soft check with a Search API fallback: one attempt only,
+      // so a struggling endpoint does not hold up the check loop
+      const response = await this._request(
+        "validation",
+        validationUrl,
+        this.timeouts.validation,
+        { maxRetries: 0 }
+      );
+
+      // Raw payloads are large; only log them when debugging
+      log.debug("Validation API response", {
+        resource_id: resourceId,
+        payload: response.data,
       });
 
       if (!response.data || !response.data.data) {
-        console.log(`❌ Invalid validation response for ${resourceId}`);
+        log.warn(`❌ Invalid validation response for ${resourceId}`);
         return null;
       }
 
-      console.log(response.data);
-
       const project = response.data.data;
       const attrs = project.attributes;
 
@@ -169,18 +534,18 @@ class Scraper {
         attrs.units_statistic_data?.available_units_count || 0;
       const hasUnits = availableUnits > 0;
 
-      console.log(`   bookable: ${isBookable}`);
-      console.log(`   available_units: ${availableUnits}`);
-
       // Both conditions must be true
       if (!isBookable || !hasUnits) {
-        console.log(
-          `❌ Validation failed for ${resourceId}: bookable=${isBookable}, units=${availableUnits}`
-        );
+        log.info(`❌ Validation failed for ${resourceId}`, {
+          bookable: isBookable,
+          available_units: availableUnits,
+        });
         return null;
       }
 
-      console.log(`✅ Validation passed for ${resourceId}`);
+      log.info(`✅ Validation passed for ${resourceId}`, {
+        available_units: availableUnits,
+      });
 
       // Extract and normalize data
       const location = attrs.location || {};
@@ -200,7 +565,7 @@ class Scraper {
         bookable: attrs.bookable,
       };
     } catch (error) {
-      console.error(`❌ Validation error for ${resourceId}:`, error.message);
+      log.error(`❌ Validation error for ${resourceId}`, { error });
 
       return null;
     }
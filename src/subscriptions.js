@@ -0,0 +1,166 @@
+import Geo from "./geo.js";
+
+/**
+ * Subscription filter parsing and matching
+ * A subscriber receives a project alert only if every filter it set matches
+ * (including its geofence: a shared location with a radius, or a polygon)
+ */
+class Subscriptions {
+  /**
+   * Parse `key=value` filter arguments from a /subscribe command
+   * Values containing spaces can be quoted: city="المدينة المنورة"
+   * @param {string} text - Command arguments
+   * @returns {{city: string|null, region: string|null, max_price: number|null}} Parsed filters
+   * @throws {Error} If a key is unknown or max_price is not a positive number
+   */
+  static parseFilters(text) {
+    const filters = { city: null, region: null, max_price: null };
+    const pattern = /(\w+)=(?:"([^"]*)"|(\S+))/g;
+    const remainder = (text || "").replace(pattern, "").trim();
+
+    if (remainder) {
+      throw new Error(`Unrecognized argument: ${remainder}`);
+    }
+
+    for (const [, key, quoted, plain] of (text || "").matchAll(pattern)) {
+      const value = (quoted ?? plain).trim();
+
+      switch (key) {
+        case "city":
+        case "region":
+          filters[key] = value || null;
+          break;
+        case "max_price": {
+          const price = Number(value.replace(/,/g, ""));
+          if (!Number.isFinite(price) || price <= 0) {
+            throw new Error(`Invalid max_price: ${value}`);
+          }
+          filters.max_price = price;
+          break;
+        }
+        default:
+          throw new Error(`Unknown filter: ${key}`);
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Check whether a project matches a subscriber's filters
+   * Projects with an unknown price are not excluded by max_price
+   * @param {object} subscriber - Subscriber row (city, region, max_price and geofence columns)
+   * @param {object} project - Project data (city, region, min_non_bene_price)
+   * @returns {boolean} True if the subscriber should be notified
+   */
+  static matches(subscriber, project) {
+    if (
+      subscriber.city &&
+      !Subscriptions._sameName(subscriber.city, project.city)
+    ) {
+      return false;
+    }
+
+    if (
+      subscriber.region &&
+      !Subscriptions._sameName(subscriber.region, project.region)
+    ) {
+      return false;
+    }
+
+    if (
+      subscriber.max_price &&
+      project.min_non_bene_price > 0 &&
+      project.min_non_bene_price > subscriber.max_price
+    ) {
+      return false;
+    }
+
+    return Subscriptions.inArea(subscriber, project);
+  }
+
+  /**
+   * Check whether a project lies inside a chat's geofence
+   * The area is the polygon (widened by radius_km, if set) or the circle of
+   * radius_km around the shared location. Projects without coordinates never
+   * match a geofence.
+   * @param {object} area - Location row (latitude, longitude, radius_km, polygon)
+   * @param {object} project - Project data (location_lat, location_lon)
+   * @returns {boolean} True if there is no geofence or the project is inside it
+   */
+  static inArea(area, project) {
+    const polygon = Subscriptions.getPolygon(area);
+    const hasCircle = Subscriptions.getCenter(area) && area.radius_km > 0;
+
+    if (!polygon && !hasCircle) {
+      return true;
+    }
+
+    if (!project.location_lat || !project.location_lon) {
+      return false;
+    }
+
+    const point = { lat: project.location_lat, lon: project.location_lon };
+    if (polygon) {
+      return Geo.distanceToPolygonKm(point, polygon) <= (area.radius_km || 0);
+    }
+
+    return (
+      Geo.distanceKm(Subscriptions.getCenter(area), point) <= area.radius_km
+    );
+  }
+
+  /**
+   * Distance from a chat's location (or polygon centroid) to a project
+   * @param {object} area - Location row (latitude, longitude, polygon)
+   * @param {object} project - Project data (location_lat, location_lon)
+   * @returns {number|null} Distance in km or null if either location is unknown
+   */
+  static distanceKm(area, project) {
+    const polygon = Subscriptions.getPolygon(area);
+    const reference =
+      Subscriptions.getCenter(area) || (polygon && Geo.centroid(polygon));
+
+    if (!reference || !project.location_lat || !project.location_lon) {
+      return null;
+    }
+
+    return Geo.distanceKm(reference, {
+      lat: project.location_lat,
+      lon: project.location_lon,
+    });
+  }
+
+  /**
+   * Shared location of a chat
+   * @param {object} area - Location row
+   * @returns {{lat: number, lon: number}|null} Point or null if not shared
+   */
+  static getCenter(area) {
+    if (area.latitude == null || area.longitude == null) {
+      return null;
+    }
+    return { lat: area.latitude, lon: area.longitude };
+  }
+
+  /**
+   * Polygon of a chat (stored as JSON)
+   * @param {object} area - Location row
+   * @returns {Array<{lat: number, lon: number}>|null} Polygon or null if not set
+   */
+  static getPolygon(area) {
+    return area.polygon ? JSON.parse(area.polygon) : null;
+  }
+
+  /**
+   * Compare two place names ignoring surrounding whitespace and case
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {boolean} True if names are equal
+   */
+  static _sameName(a, b) {
+    return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+  }
+}
+
+export default Subscriptions;
@@ -0,0 +1,113 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHarness } from "./helpers/harness.js";
+import ApiServer from "../src/api-server.js";
+
+describe("REST API", () => {
+  let harness;
+  let api;
+
+  /**
+   * GET a path from the API
+   * @param {string} path - Path with query string
+   * @param {string} [token] - Bearer token
+   * @returns {Promise<{status: number, body: object}>} Response
+   */
+  async function get(path, token = "secret") {
+    const response = await fetch(`http://127.0.0.1:${api.port}${path}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    harness = await createHarness();
+    // Baseline, then 1004 opens with 11 units
+    await harness.play("restock");
+
+    api = new ApiServer(harness.bot.database, { port: 0, token: "secret" });
+    await api.start();
+  });
+
+  after(async () => {
+    await api.stop();
+    await harness.close();
+  });
+
+  it("requires the bearer token", async () => {
+    assert.equal((await get("/projects", null)).status, 401);
+    assert.equal((await get("/projects", "wrong")).status, 401);
+    assert.equal((await get("/projects")).status, 200);
+  });
+
+  it("filters projects", async () => {
+    const available = await get("/projects?available=true");
+    assert.deepEqual(
+      available.body.data.map((p) => p.resource_id),
+      [1002, 1004]
+    );
+    assert.equal(available.body.data[1].available_units_count, 11);
+
+    const jeddah = await get(`/projects?city=${encodeURIComponent("جدة")}`);
+    assert.deepEqual(
+      jeddah.body.data.map((p) => p.resource_id),
+      [1002]
+    );
+
+    const cheap = await get("/projects?max_price=300000");
+    assert.deepEqual(
+      cheap.body.data.map((p) => p.resource_id),
+      [1002, 1004]
+    );
+  });
+
+  it("sorts and paginates", async () => {
+    const first = await get("/projects?sort=price&order=desc&per_page=2");
+    assert.deepEqual(
+      first.body.data.map((p) => p.resource_id),
+      [1007, 1004]
+    );
+    assert.deepEqual(first.body.meta, {
+      total: 3,
+      page: 1,
+      per_page: 2,
+      total_pages: 2,
+    });
+
+    const second = await get(
+      "/projects?sort=price&order=desc&per_page=2&page=2"
+    );
+    assert.deepEqual(
+      second.body.data.map((p) => p.resource_id),
+      [1002]
+    );
+  });
+
+  it("returns one project and its history", async () => {
+    const { status, body } = await get("/projects/1004");
+    assert.equal(status, 200);
+    assert.match(body.data.project_name, /مخطط الأرجوان/);
+    assert.equal(body.data.url, "https://sakani.sa/app/land-projects/1004");
+
+    const history = await get("/projects/1004/history");
+    assert.deepEqual(
+      history.body.data.units.map((row) => row.new_count),
+      [0, 11]
+    );
+
+    assert.equal((await get("/projects/9999")).status, 404);
+  });
+
+  it("rejects invalid parameters", async () => {
+    for (const query of [
+      "available=yes",
+      "sort=name",
+      "page=0",
+      "per_page=500",
+    ]) {
+      const { status, body } = await get(`/projects?${query}`);
+      assert.equal(status, 400, query);
+      assert.ok(body.error);
+    }
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import CircuitBreaker from "../src/circuit-breaker.js";
+import logger from "../src/logger.js";
+import { createHarness } from "./helpers/harness.js";
+
+describe("CircuitBreaker", () => {
+  /**
+   * Build a breaker that opens after one failure and allows a trial right away
+   * @returns {CircuitBreaker} Open breaker
+   */
+  function openBreaker() {
+    logger.configure({ level: "silent" });
+    const breaker = new CircuitBreaker("search", {
+      failureThreshold: 1,
+      resetTimeout: 0,
+    });
+    breaker.recordFailure(new Error("down"));
+    return breaker;
+  }
+
+  it("lets a single trial request through while half-open", () => {
+    const breaker = openBreaker();
+
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, "half_open");
+    // Other workers wait for the trial
+    assert.equal(breaker.canRequest(), false);
+    assert.match(breaker.createOpenError().message, /trial request/);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, "closed");
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  it("re-opens when the trial fails", () => {
+    const breaker = openBreaker();
+    breaker.canRequest();
+
+    breaker.recordFailure(new Error("still down"));
+
+    assert.equal(breaker.state, "open");
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, "half_open");
+  });
+
+  it("frees the trial when the request was never sent", () => {
+    const breaker = openBreaker();
+    breaker.canRequest();
+
+    breaker.endTrial();
+
+    assert.equal(breaker.state, "half_open");
+    assert.equal(breaker.canRequest(), true);
+  });
+
+  describe("scraper", () => {
+    let harness;
+
+    afterEach(async () => {
+      await harness.close();
+    });
+
+    it("closes the circuit when the trial gets a client error", async () => {
+      harness = await createHarness({
+        CIRCUIT_FAILURE_THRESHOLD: "1",
+        CIRCUIT_RESET_SECONDS: "0",
+      });
+      const { scraper } = harness.bot;
+      scraper.breakers.validation.recordFailure(new Error("down"));
+
+      // Unknown projects answer 404
+      assert.equal(await scraper.validateProject(999999), null);
+
+      assert.equal(scraper.breakers.validation.state, "closed");
+      assert.equal(harness.metric("circuit_state", { api: "validation" }), 0);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createHarness } from "./helpers/harness.js";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+// Async so the in-process mock servers keep answering the bot
+const run = promisify(execFile);
+
+describe("cli.js", () => {
+  let dir;
+  let harness;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aqar-cli-"));
+    harness = await createHarness({ DB_PATH: path.join(dir, "projects.db") });
+  });
+
+  afterEach(async () => {
+    await harness.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run a CLI command against the harness database
+   * @param {...string} args - Command and options
+   * @returns {Promise<string>} Standard output
+   */
+  async function cli(...args) {
+    return cliWithEnv({}, ...args);
+  }
+
+  /**
+   * Run a CLI command with extra environment variables
+   * @param {object} env - Variables added to the harness environment
+   * @param {...string} args - Command and options
+   * @returns {Promise<string>} Standard output
+   */
+  async function cliWithEnv(env, ...args) {
+    const { stdout } = await run(process.execPath, [CLI, ...args], {
+      env: { ...process.env, LOG_LEVEL: "silent", ...env },
+      timeout: 30000,
+    });
+    return stdout;
+  }
+
+  describe("export", () => {
+    it("writes every project as CSV", async () => {
+      await harness.runSteps([{ counters: {} }]);
+      await harness.bot.database.upsertProjectMetadata({
+        ...(await harness.bot.database.getProject(1002)),
+        project_name: 'مخطط "الياسمين", جدة',
+      });
+
+      const [header, ...rows] = (await cli("export", "--format", "csv"))
+        .trim()
+        .split("\n");
+
+      assert.match(header, /^resource_id,project_name,/);
+      assert.equal(rows.length, 3);
+      assert.match(rows.join("\n"), /^1002,"مخطط ""الياسمين"", جدة",/m);
+    });
+  });
+
+  describe("config file", () => {
+    it("sends test alerts to the admins of the config file", async () => {
+      const { telegram } = harness;
+      await harness.runSteps([{ counters: {} }]);
+      const config = path.join(dir, "config.yml");
+      fs.writeFileSync(config, "telegram:\n  admin_ids: [3003]\n");
+
+      const output = await cliWithEnv(
+        { CONFIG_PATH: config },
+        "send-test-alert",
+        "1002"
+      );
+
+      assert.match(output, /sent to 1 admin/);
+      assert.equal(telegram.messages("1001").length, 0);
+      assert.match(telegram.messages("3003")[0].text, /تجريبي/);
+    });
+
+    it("asks the Validation API of the config file for live data", async () => {
+      const { sakani } = harness;
+      await harness.runSteps([{ counters: {} }]);
+      const config = path.join(dir, "config.yml");
+      fs.writeFileSync(
+        config,
+        `api:\n  validation_url: ${sakani.validationUrl}\n`
+      );
+
+      const output = await cliWithEnv(
+        { CONFIG_PATH: config, VALIDATION_API_URL: "http://127.0.0.1:9/" },
+        "show",
+        "1004",
+        "--live"
+      );
+
+      assert.match(output, /Live:/);
+      assert.equal(sakani.requestsTo("validation").length, 1);
+    });
+  });
+
+  describe("reset-baseline", () => {
+    it("makes a running bot record a silent baseline", async () => {
+      const { bot, telegram } = harness;
+      await harness.runSteps([{ counters: {} }]);
+
+      const output = await cli("reset-baseline");
+      assert.match(output, /Forgot the counts of 3 project\(s\)/);
+
+      // Same counters: nothing opened, so nothing may be announced
+      await bot.runCheck();
+
+      assert.equal(telegram.messages().length, 0);
+      assert.equal(await bot.database.isBaselinePending(), false);
+      assert.equal(await bot.database.getUnitCount(1002), 5);
+      assert.equal(await bot.database.getUnitCount(1004), 0);
+
+      // Later changes are announced again
+      harness.sakani.applyStep({ counters: { 1004: 11 } });
+      await bot.runCheck();
+      assert.match(telegram.messages()[0].text, /عادت القطع للتوفر/);
+    });
+  });
+});
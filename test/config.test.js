@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Config from "../src/config.js";
+import { createHarness, ADMIN_ID } from "./helpers/harness.js";
+
+const ENV = {
+  TELEGRAM_ADMIN_IDS: "1, 2",
+  COUNTERS_API_URL: "https://sakani.sa/marketplaceApi/available-units-count",
+};
+
+describe("Config", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aqar-config-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a config file in the temporary directory
+   * @param {string} name - File name
+   * @param {string} text - Contents
+   * @returns {string} Path
+   */
+  function writeConfig(name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  }
+
+  it("falls back to the environment and the defaults", () => {
+    const config = Config.load(ENV);
+
+    assert.deepEqual(config.get("telegram.admin_ids"), ["1", "2"]);
+    assert.equal(config.get("check_interval"), 1);
+    assert.equal(config.get("timeouts.search"), 30000);
+    assert.equal(config.get("profiles"), null);
+    assert.equal(config.file, null);
+  });
+
+  it("reads YAML over the environment", () => {
+    const file = writeConfig(
+      "config.yml",
+      [
+        "check_interval: 5",
+        "telegram:",
+        "  admin_ids: [42]",
+        "timeouts:",
+        "  validation: 2500",
+        "profiles:",
+        "  - name: rentals",
+        "    project_types: [offplan_private_building]",
+      ].join("\n")
+    );
+
+    const config = Config.load({ ...ENV, CONFIG_PATH: file });
+
+    assert.equal(config.get("check_interval"), 5);
+    assert.deepEqual(config.get("telegram.admin_ids"), ["42"]);
+    assert.equal(config.get("timeouts.validation"), 2500);
+    assert.equal(config.get("profiles")[0].name, "rentals");
+    assert.equal(config.get("api.counters_url"), ENV.COUNTERS_API_URL);
+  });
+
+  it("lists every invalid setting", () => {
+    const file = writeConfig(
+      "config.json",
+      JSON.stringify({
+        check_interval: 0,
+        api: { validation_url: "not a url", search_url: "x" },
+        profiles: [{ name: "lands" }],
+      })
+    );
+
+    assert.throws(
+      () =>
+        Config.load({
+          COUNTERS_API_URL: ENV.COUNTERS_API_URL,
+          INDEX_INTERVAL: "hourly",
+          CONFIG_PATH: file,
+        }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          "api.search_url: unknown setting",
+          "check_interval: expected an integer ≥ 1, got 0",
+          'index_interval: expected an integer ≥ 1, got "hourly" (from INDEX_INTERVAL)',
+          "telegram.admin_ids: required (set it in the config file or TELEGRAM_ADMIN_IDS)",
+          'api.validation_url: expected an http(s) URL, got "not a url"',
+          "profiles: Profile 'lands' must list at least one project_types value",
+        ]);
+        assert.match(error.message, /Invalid configuration in .*config\.json/);
+        return true;
+      }
+    );
+  });
+
+  it("rejects files it cannot parse", () => {
+    const file = writeConfig("config.yaml", "check_interval: [1");
+
+    assert.throws(
+      () => Config.load({ ...ENV, CONFIG_PATH: file }),
+      /Cannot parse .*config\.yaml/
+    );
+  });
+
+  describe("hot reload", () => {
+    let harness;
+    let file;
+
+    beforeEach(async () => {
+      file = writeConfig("config.yml", "check_interval: 1\n");
+      harness = await createHarness({ CONFIG_PATH: file });
+    });
+
+    afterEach(async () => {
+      await harness.close();
+    });
+
+    it("applies safe changes and keeps restart-only settings", () => {
+      const { bot } = harness;
+      fs.writeFileSync(
+        file,
+        [
+          "check_interval: 3",
+          "increase_threshold: 2",
+          "telegram:",
+          `  admin_ids: [${ADMIN_ID}, 2002]`,
+          "api:",
+          "  counters_url: https://example.com/counters",
+        ].join("\n")
+      );
+
+      const applied = bot.reloadConfig();
+
+      assert.deepEqual(
+        applied.map((change) => change.key),
+        ["check_interval", "increase_threshold", "telegram.admin_ids"]
+      );
+      assert.equal(bot.checkInterval, 3);
+      assert.equal(bot.increaseThreshold, 2);
+      assert.deepEqual(bot.notifier.adminIds, [ADMIN_ID, "2002"]);
+      // The counters URL needs a restart
+      assert.equal(bot.scraper.countersApiUrl, harness.sakani.countersUrl);
+      assert.equal(
+        bot.config.get("api.counters_url"),
+        harness.sakani.countersUrl
+      );
+    });
+
+    it("keeps the current settings when the file is invalid", () => {
+      const { bot } = harness;
+      fs.writeFileSync(file, "check_interval: -1\n");
+
+      assert.equal(bot.reloadConfig(), null);
+      assert.equal(bot.checkInterval, 1);
+    });
+
+    it("keeps the current settings when the new profiles cannot be built", () => {
+      const { bot } = harness;
+      const profiles = [
+        "profiles:",
+        "  - name: rentals",
+        "    project_types: [offplan_private_building]",
+      ].join("\n");
+      fs.writeFileSync(file, profiles);
+      bot.reloadConfig();
+      // Dropping the file's profiles falls back to a broken PROFILES_PATH
+      const profilesPath = process.env.PROFILES_PATH;
+      process.env.PROFILES_PATH = writeConfig("profiles.json", "[{");
+      fs.writeFileSync(file, "check_interval: 3\n");
+
+      try {
+        assert.equal(bot.reloadConfig(), null);
+      } finally {
+        if (profilesPath === undefined) {
+          delete process.env.PROFILES_PATH;
+        } else {
+          process.env.PROFILES_PATH = profilesPath;
+        }
+      }
+
+      assert.equal(bot.checkInterval, 1);
+      assert.deepEqual(
+        bot.profiles.map((profile) => profile.name),
+        ["rentals"]
+      );
+      assert.equal(bot.config.get("profiles")[0].name, "rentals");
+    });
+  });
+});
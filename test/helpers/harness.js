@@ -0,0 +1,104 @@
+import AqarBot from "../../src/bot.js";
+import logger from "../../src/logger.js";
+import SakaniMockServer from "./sakani-server.js";
+import FakeTelegramServer from "./telegram-server.js";
+
+export const ADMIN_ID = "1001";
+
+// Optional features that would reach real services or files
+const UNSET_ENV = [
+  "CONFIG_PATH",
+  "PROFILES_PATH",
+  "API_PORT",
+  "SEARCH_API_URL",
+  "HEALTH_PORT",
+  "DIGEST_DAILY_TIME",
+  "DIGEST_WEEKLY_TIME",
+  "WEBHOOK_URL",
+  "DISCORD_WEBHOOK_URL",
+  "SLACK_WEBHOOK_URL",
+  "SMTP_HOST",
+];
+
+/**
+ * Start a mock Sakani server and a fake Telegram API and build an AqarBot
+ * wired to both, with an in-memory database
+ * @param {object} [env] - Extra environment variables (e.g. INCREASE_THRESHOLD)
+ * @returns {Promise<object>} Harness ({ bot, sakani, telegram, runSteps, play, metric, close })
+ */
+export async function createHarness(env = {}) {
+  // The bot logs every step; keep the test report readable
+  logger.configure({ level: "silent" });
+
+  const sakani = new SakaniMockServer();
+  const telegram = new FakeTelegramServer();
+  await sakani.start();
+  await telegram.start();
+
+  for (const key of UNSET_ENV) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, {
+    TELEGRAM_BOT_TOKEN: "123456:TEST",
+    TELEGRAM_ADMIN_IDS: ADMIN_ID,
+    TELEGRAM_API_URL: telegram.url,
+    COUNTERS_API_URL: sakani.countersUrl,
+    SEARCH_API_BASE_URL: sakani.searchUrl,
+    VALIDATION_API_URL: sakani.validationUrl,
+    DB_PATH: ":memory:",
+    ENABLE_COMMANDS: "false",
+    HTTP_MAX_RETRIES: "0",
+    CIRCUIT_FAILURE_THRESHOLD: "100",
+    ...env,
+  });
+
+  const bot = new AqarBot();
+  // Keep "validation timeout" scenarios fast
+  bot.scraper.timeouts.validation = 200;
+  await bot.database.initialize();
+
+  return {
+    bot,
+    sakani,
+    telegram,
+
+    /**
+     * Index the catalog, then run one check per step
+     * @param {Array<object>} steps - Scenario steps (see SakaniMockServer.applyStep)
+     */
+    async runSteps(steps) {
+      await bot.runIndex();
+      for (const step of steps) {
+        sakani.applyStep(step);
+        await bot.runCheck();
+      }
+    },
+
+    /**
+     * Play a scenario from test/fixtures/scenarios
+     * @param {string} name - Scenario name
+     */
+    async play(name) {
+      await this.runSteps(SakaniMockServer.loadScenario(name).steps);
+    },
+
+    /**
+     * Current value of a counter or gauge
+     * @param {string} name - Metric name without prefix
+     * @param {object} [labels] - Label values
+     * @returns {number} Value (0 if never recorded)
+     */
+    metric(name, labels = {}) {
+      const key = JSON.stringify(
+        Object.fromEntries(Object.entries(labels).sort())
+      );
+      return bot.metrics.values.get(name).get(key)?.value ?? 0;
+    },
+
+    async close() {
+      await bot.stop();
+      await sakani.stop();
+      await telegram.stop();
+    },
+  };
+}
@@ -0,0 +1,250 @@
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "fixtures"
+);
+
+const ROUTES = [
+  { name: "counters", pattern: /^\/marketplaceApi\/available-units-count$/ },
+  { name: "search", pattern: /^\/marketplaceApi\/search\/v3\/location$/ },
+  {
+    name: "validation",
+    pattern: /^\/mainIntermediaryApi\/v4\/projects\/(\d+)$/,
+  },
+];
+
+/**
+ * Read a JSON fixture from test/fixtures
+ * @param {string} name - Path relative to the fixtures directory
+ * @returns {object|null} Parsed fixture or null if it does not exist
+ */
+function readFixture(name) {
+  const file = path.join(FIXTURES_DIR, name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * Local stand-in for the Sakani Counters, Search and Validation
+ * (mainIntermediaryApi) endpoints
+ * Serves the recorded fixtures in test/fixtures and plays scripted scenarios
+ * (count changes and faults such as error statuses or slow responses)
+ */
+class SakaniMockServer {
+  constructor() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.timers = new Set();
+    this.url = null;
+    this.reset();
+  }
+
+  /**
+   * Listen on a random local port
+   * @returns {Promise<string>} Base URL
+   */
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening and drop pending (delayed) responses
+   */
+  async stop() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Restore the recorded fixtures and clear faults and the request log
+   */
+  reset() {
+    this.counters = readFixture("counters.json");
+    this.catalog = readFixture("search.json").data;
+    this.projects = new Map();
+    this.faults = {};
+    this.requests = [];
+  }
+
+  get countersUrl() {
+    return `${this.url}/marketplaceApi/available-units-count`;
+  }
+
+  get searchUrl() {
+    return `${this.url}/marketplaceApi/search/v3/location`;
+  }
+
+  get validationUrl() {
+    return `${this.url}/mainIntermediaryApi/v4/projects`;
+  }
+
+  /**
+   * Apply one scenario step
+   * @param {object} step
+   * @param {object} [step.counters] - Counts to change ({ resource_id: count })
+   * @param {object} [step.faults] - Faults for this step per route ({ status, delay_ms, times })
+   */
+  applyStep({ counters = {}, faults = {} }) {
+    Object.assign(this.counters.buy_units_count, counters);
+    this.faults = { ...faults };
+  }
+
+  /**
+   * Make a route fail or respond slowly
+   * @param {string} route - 'counters', 'search' or 'validation'
+   * @param {object} fault
+   * @param {number} [fault.status] - Error status to answer with
+   * @param {number} [fault.delay_ms] - Delay before answering
+   * @param {number} [fault.times] - Number of requests affected (all by default)
+   */
+  fail(route, fault) {
+    this.faults[route] = { ...fault };
+  }
+
+  /**
+   * Replace the Validation API response of a project
+   * @param {number} resourceId - Resource ID
+   * @param {object|null} body - Response body (null answers 404)
+   */
+  setProject(resourceId, body) {
+    this.projects.set(String(resourceId), body);
+  }
+
+  /**
+   * Requests received for a route
+   * @param {string} route - 'counters', 'search' or 'validation'
+   * @returns {Array<object>} Requests ({ route, url })
+   */
+  requestsTo(route) {
+    return this.requests.filter((request) => request.route === route);
+  }
+
+  /**
+   * Load a scripted scenario from test/fixtures/scenarios
+   * @param {string} name - Scenario file name without extension
+   * @returns {{description: string, steps: Array<object>}} Scenario
+   * @throws {Error} If the scenario does not exist
+   */
+  static loadScenario(name) {
+    const scenario = readFixture(path.join("scenarios", `${name}.json`));
+    if (!scenario) {
+      throw new Error(`Unknown scenario: ${name}`);
+    }
+    return scenario;
+  }
+
+  /**
+   * Route a request, applying the route's fault first
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const route = ROUTES.find((r) => r.pattern.test(url.pathname));
+
+    if (!route) {
+      this._send(res, 404, { errors: [{ title: "Not Found" }] });
+      return;
+    }
+
+    this.requests.push({ route: route.name, url: req.url });
+    const fault = this._takeFault(route.name);
+    const respond = () => {
+      if (fault?.status) {
+        this._send(res, fault.status, { errors: [{ status: fault.status }] });
+        return;
+      }
+      const match = route.pattern.exec(url.pathname);
+      const [status, body] = this._respond(route.name, url, match);
+      this._send(res, status, body);
+    };
+
+    if (fault?.delay_ms) {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        respond();
+      }, fault.delay_ms);
+      this.timers.add(timer);
+    } else {
+      respond();
+    }
+  }
+
+  /**
+   * Consume one use of a route's fault
+   * @param {string} route - Route name
+   * @returns {object|null} Fault to apply
+   */
+  _takeFault(route) {
+    const fault = this.faults[route];
+    if (!fault) {
+      return null;
+    }
+
+    if (fault.times !== undefined && --fault.times <= 0) {
+      delete this.faults[route];
+    }
+    return fault;
+  }
+
+  /**
+   * Build the body for a route
+   * @param {string} route - Route name
+   * @param {URL} url - Request URL
+   * @param {Array<string>} match - Route pattern match
+   * @returns {[number, object]} Status and body
+   */
+  _respond(route, url, match) {
+    if (route === "counters") {
+      return [200, this.counters];
+    }
+
+    if (route === "search") {
+      const size = parseInt(url.searchParams.get("page[size]") || "100", 10);
+      const number = parseInt(url.searchParams.get("page[number]") || "1", 10);
+      const totalPages = Math.max(Math.ceil(this.catalog.length / size), 1);
+
+      return [
+        200,
+        {
+          data: this.catalog.slice((number - 1) * size, number * size),
+          meta: { total: this.catalog.length, total_pages: totalPages },
+        },
+      ];
+    }
+
+    const resourceId = match[1];
+    const body = this.projects.has(resourceId)
+      ? this.projects.get(resourceId)
+      : readFixture(path.join("projects", `${resourceId}.json`));
+
+    return body
+      ? [200, body]
+      : [404, { errors: [{ title: "Project not found" }] }];
+  }
+
+  /**
+   * Write a JSON response unless the client already gave up
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {object} body - JSON body
+   */
+  _send(res, status, body) {
+    if (res.destroyed || res.writableEnded) {
+      return;
+    }
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+}
+
+export default SakaniMockServer;
@@ -0,0 +1,126 @@
+import http from "node:http";
+
+/**
+ * Fake Telegram Bot API that records outgoing calls
+ * Point the Notifier at it with TELEGRAM_API_URL; every method answers
+ * successfully unless a failure was queued with failNext()
+ */
+class FakeTelegramServer {
+  constructor() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.url = null;
+    this.calls = [];
+    this.failures = new Map();
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * Listen on a random local port
+   * @returns {Promise<string>} Base URL
+   */
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Make the next call of a method fail
+   * @param {string} method - Bot API method (e.g. 'sendPhoto')
+   * @param {string} [description] - Telegram error description
+   */
+  failNext(method, description = "Bad Request: wrong file identifier") {
+    this.failures.set(method, description);
+  }
+
+  /**
+   * Recorded calls that posted a message (sendMessage / sendPhoto)
+   * @param {string|number} [chatId] - Only messages sent to this chat
+   * @returns {Array<object>} Calls ({ method, chat_id, text, params })
+   */
+  messages(chatId) {
+    return this.calls.filter(
+      (call) =>
+        (call.method === "sendMessage" || call.method === "sendPhoto") &&
+        (chatId === undefined || call.chat_id === String(chatId))
+    );
+  }
+
+  /**
+   * Forget recorded calls
+   */
+  clear() {
+    this.calls = [];
+  }
+
+  /**
+   * Record a Bot API call and answer it
+   * node-telegram-bot-api sends parameters as a form body or in the query string
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handle(req, res) {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, this.url);
+      const method = url.pathname.split("/").pop();
+      const params = Object.fromEntries([
+        ...url.searchParams,
+        ...new URLSearchParams(body),
+      ]);
+      if (params.reply_markup) {
+        params.reply_markup = JSON.parse(params.reply_markup);
+      }
+
+      const call = {
+        method,
+        chat_id: params.chat_id,
+        text: params.text ?? params.caption ?? null,
+        params,
+      };
+      this.calls.push(call);
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+
+      if (this.failures.has(method)) {
+        const description = this.failures.get(method);
+        this.failures.delete(method);
+        res.end(JSON.stringify({ ok: false, error_code: 400, description }));
+        return;
+      }
+
+      res.end(JSON.stringify({ ok: true, result: this._result(call) }));
+    });
+  }
+
+  /**
+   * Build the result of a successful call
+   * @param {object} call - Recorded call
+   * @returns {object|boolean} Sent message, or true for other methods
+   */
+  _result(call) {
+    if (call.method !== "sendMessage" && call.method !== "sendPhoto") {
+      return true;
+    }
+
+    return {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(call.chat_id) },
+      text: call.text,
+    };
+  }
+}
+
+export default FakeTelegramServer;
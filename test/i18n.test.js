@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import I18n from "../src/i18n.js";
+import CommandHandler from "../src/commands.js";
+import { createHarness, ADMIN_ID } from "./helpers/harness.js";
+
+describe("Per-chat language", () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  it("sends alerts in the chat's locale", async () => {
+    const { bot, telegram } = harness;
+    await bot.database.setChatLocale(ADMIN_ID, "en");
+    await bot.loadLocales();
+
+    await harness.play("restock");
+
+    const [alert] = telegram.messages(ADMIN_ID);
+    assert.match(alert.text, /plots are available again/);
+    assert.match(alert.text, /Available units:<\/b> 11 units/);
+    // Numbers, currency and the price arrow follow the locale
+    assert.match(alert.text, /SAR\s250,000 → SAR\s245,000 \(📉 -2%\)/);
+    assert.equal(
+      alert.params.reply_markup.inline_keyboard[0][0].text,
+      "🔗 Book now on Sakani"
+    );
+  });
+
+  it("keeps Arabic for chats without a preference", async () => {
+    const { telegram } = harness;
+
+    await harness.play("restock");
+
+    const [alert] = telegram.messages(ADMIN_ID);
+    assert.match(alert.text, /عادت القطع للتوفر/);
+    assert.match(alert.text, /٢٥٠٬٠٠٠.* ← .*٢٤٥٬٠٠٠/);
+    assert.equal(
+      alert.params.reply_markup.inline_keyboard[0][0].text,
+      "🔗 احجز الآن عبر سكني"
+    );
+  });
+
+  it("/lang stores the chat's locale", async () => {
+    const { bot, telegram } = harness;
+    const commands = new CommandHandler(bot);
+    const msg = { chat: { id: Number(ADMIN_ID) } };
+
+    await commands.handleLang(msg, "fr");
+    await commands.handleLang(msg, "EN");
+    await commands.handleLang(msg);
+
+    const [unsupported, set, current] = telegram.messages(ADMIN_ID);
+    assert.match(unsupported.text, /لغة غير مدعومة: fr/);
+    assert.equal(set.text, "✅ Alerts will now be sent in English");
+    assert.match(current.text, /Alert language: English/);
+    assert.equal((await bot.database.getChatLocales()).get(ADMIN_ID), "en");
+    assert.equal(bot.notifier.getLocale(ADMIN_ID), "en");
+  });
+});
+
+describe("I18n", () => {
+  it("has the same keys in every catalog", () => {
+    const keys = (locale) =>
+      Object.keys(I18n.catalog(locale)).sort().join("\n");
+    for (const locale of I18n.locales) {
+      assert.equal(keys(locale), keys(I18n.defaultLocale), locale);
+    }
+  });
+
+  it("formats numbers and currency for the locale", () => {
+    assert.equal(I18n.formatNumber(1234.5, "en"), "1,234.5");
+    assert.equal(I18n.formatNumber(1234.5, "ar"), "١٬٢٣٤٫٥");
+    assert.match(I18n.formatNumber(250000, "en", true), /^SAR\s250,000$/);
+  });
+
+  it("picks per-locale profile text", () => {
+    const header = { ar: "🏢 وحدات جديدة", en: "🏢 New units" };
+    assert.equal(I18n.pick(header, "en"), "🏢 New units");
+    assert.equal(I18n.pick("🏢 وحدات جديدة", "en"), "🏢 وحدات جديدة");
+    assert.equal(I18n.pick({ ar: "🏢 وحدات جديدة" }, "en"), "🏢 وحدات جديدة");
+  });
+});
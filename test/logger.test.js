@@ -0,0 +1,114 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import logger from "../src/logger.js";
+import { createHarness } from "./helpers/harness.js";
+
+describe("Logger", () => {
+  let lines;
+
+  /**
+   * Send log lines to `lines` (parsed when JSON)
+   * @param {string} level - Minimum level
+   * @param {string} [format='json'] - Output format
+   */
+  function capture(level, format = "json") {
+    lines = [];
+    logger.configure({
+      level,
+      format,
+      write: (line) => lines.push(format === "json" ? JSON.parse(line) : line),
+    });
+  }
+
+  afterEach(() => {
+    logger.configure({ level: "silent" });
+  });
+
+  it("writes JSON lines with the module, fields and errors", () => {
+    capture("info");
+    const error = Object.assign(new Error("boom"), { code: "ECONNRESET" });
+
+    logger.child({ module: "scraper" }).error("❌ Failed", { error, id: 7 });
+
+    assert.equal(lines.length, 1);
+    const [entry] = lines;
+    assert.equal(entry.level, "error");
+    assert.equal(entry.module, "scraper");
+    assert.equal(entry.msg, "❌ Failed");
+    assert.equal(entry.id, 7);
+    assert.deepEqual(entry.error, { message: "boom", code: "ECONNRESET" });
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it("drops lines below the configured level", () => {
+    capture("warn");
+    const log = logger.child({ module: "bot" });
+
+    log.debug("debug");
+    log.info("info");
+    log.warn("warn");
+    log.error("error");
+
+    assert.deepEqual(
+      lines.map((entry) => entry.msg),
+      ["warn", "error"]
+    );
+    assert.throws(() => logger.configure({ level: "verbose" }), /log level/);
+  });
+
+  it("renders pretty lines for development", () => {
+    capture("info", "pretty");
+
+    logger
+      .child({ module: "bot" })
+      .withContext({ check_id: "1a2b3c4d" }, () =>
+        logger.child({ module: "bot" }).info("✅ Done", { units: 3 })
+      );
+
+    assert.match(
+      lines[0],
+      /^\d\d:\d\d:\d\d INFO  \[bot\] ✅ Done units=3 \(check_id=1a2b3c4d\)$/
+    );
+  });
+
+  describe("runCheck", () => {
+    let harness;
+
+    beforeEach(async () => {
+      harness = await createHarness();
+    });
+
+    afterEach(async () => {
+      await harness.close();
+    });
+
+    it("tags every line of a check with the same check ID", async () => {
+      await harness.runSteps([{ counters: {} }]);
+      capture("info");
+
+      harness.sakani.applyStep({ counters: { 1004: 11 } });
+      await harness.bot.runCheck();
+      await harness.bot.runCheck();
+
+      const ids = new Set(lines.map((entry) => entry.check_id));
+      assert.equal(ids.size, 2);
+      assert.ok(!ids.has(undefined));
+      // Lines of modules called by the check carry it too
+      assert.ok(
+        lines.some((entry) => entry.module === "scraper" && entry.check_id)
+      );
+      // The project was validated, but its raw payload is a debug line
+      assert.ok(!lines.some((entry) => "payload" in entry));
+    });
+
+    it("logs raw Validation API payloads only at debug level", async () => {
+      capture("debug");
+
+      await harness.play("restock");
+
+      const response = lines.find((entry) => "payload" in entry);
+      assert.equal(response.level, "debug");
+      assert.equal(response.resource_id, 1004);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "../src/database.js";
+import migrations from "../src/migrations.js";
+
+const MIGRATE = fileURLToPath(new URL("../migrate.js", import.meta.url));
+
+const run = promisify(execFile);
+
+describe("migrate.js", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "aqar-migrate-"));
+    dbPath = path.join(dir, "projects.db");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run migrate.js against the temporary database
+   * @param {...string} args - Options
+   * @returns {Promise<string>} Standard output
+   */
+  async function migrate(...args) {
+    const { stdout } = await run(process.execPath, [MIGRATE, ...args], {
+      env: { ...process.env, DB_PATH: dbPath, LOG_LEVEL: "silent" },
+      timeout: 30000,
+    });
+    return stdout;
+  }
+
+  /**
+   * List the tables of the temporary database
+   * @returns {Promise<Array<string>>} Table names
+   */
+  async function tables() {
+    const database = new Database(dbPath);
+    await database.open();
+    try {
+      const rows = await database._all(
+        "SELECT name FROM sqlite_master WHERE type = 'table'"
+      );
+      return rows.map((row) => row.name);
+    } finally {
+      await database.close();
+    }
+  }
+
+  it("lists pending migrations without touching the database", async () => {
+    const output = await migrate("--dry-run");
+
+    assert.match(output, new RegExp(`${migrations.length} pending migration`));
+    assert.deepEqual(await tables(), []);
+  });
+
+  it("applies every migration", async () => {
+    const output = await migrate();
+
+    assert.match(output, new RegExp(`Applied ${migrations.length} migration`));
+    assert.ok((await tables()).includes("schema_version"));
+    assert.match(await migrate("--dry-run"), /Schema is up to date/);
+  });
+});
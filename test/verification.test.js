@@ -0,0 +1,490 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import logger from "../src/logger.js";
+import { createHarness, ADMIN_ID } from "./helpers/harness.js";
+
+const SUBSCRIBER_ID = "2002";
+
+describe("3-step verification (runCheck)", () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createHarness();
+  });
+
+  afterEach(async () => {
+    await harness.close();
+  });
+
+  describe("Step 1: Counters API", () => {
+    it("records the first counts silently", async () => {
+      const { bot, telegram } = harness;
+
+      await harness.runSteps([{ counters: {} }]);
+
+      assert.equal(telegram.messages().length, 0);
+      assert.equal(await bot.database.getUnitCount(1002), 5);
+      assert.equal(await bot.database.getUnitCount(1004), 0);
+    });
+
+    it("fails the check without alerts when the API errors", async () => {
+      const { bot, telegram } = harness;
+
+      await harness.play("counters-error");
+
+      // Admins get the error report, not an alert
+      const [report] = telegram.messages(ADMIN_ID);
+      assert.equal(telegram.messages().length, 1);
+      assert.match(report.text, /خطأ في البوت/);
+      assert.match(report.text, /503/);
+      assert.match(bot.lastError.message, /503/);
+      assert.equal(harness.metric("checks_total", { status: "error" }), 1);
+      assert.equal(await bot.database.getUnitCount(1004), 0);
+    });
+
+    it("ignores changes below the increase threshold", async () => {
+      const { telegram } = harness;
+
+      await harness.runSteps([{ counters: {} }, { counters: { 1002: 8 } }]);
+
+      assert.equal(telegram.messages().length, 0);
+    });
+  });
+
+  describe("Step 2: Search API", () => {
+    it("skips projects of a type no profile accepts", async () => {
+      const { sakani, telegram } = harness;
+
+      await harness.play("wrong-type");
+
+      assert.equal(telegram.messages().length, 0);
+      assert.equal(sakani.requestsTo("validation").length, 0);
+      assert.equal(
+        harness.metric("verification_outcomes_total", {
+          step: "step2_search",
+          outcome: "invalid_type",
+        }),
+        1
+      );
+    });
+
+    it("skips known projects missing from the Search API", async () => {
+      const { bot, sakani, telegram } = harness;
+
+      await harness.runSteps([
+        { counters: { 1009: 0 } },
+        { counters: { 1009: 3 } },
+      ]);
+
+      assert.equal(telegram.messages().length, 0);
+      assert.equal(sakani.requestsTo("validation").length, 0);
+      assert.equal(await bot.database.getUnitCount(1009), 3);
+      assert.equal(
+        harness.metric("verification_outcomes_total", {
+          step: "step2_search",
+          outcome: "not_found",
+        }),
+        1
+      );
+    });
+
+    it("warns when the page cap cuts the catalog short", async () => {
+      const { bot } = harness;
+      bot.scraper.search.pageSize = 1;
+      bot.scraper.search.maxPages = 2;
+      const warnings = [];
+      logger.configure({
+        level: "warn",
+        format: "json",
+        write: (line) => warnings.push(JSON.parse(line)),
+      });
+
+      try {
+        const projects = await bot.scraper.fetchSearchAPI();
+        assert.equal(projects.size, 2);
+      } finally {
+        logger.configure({ level: "silent" });
+      }
+
+      assert.equal(warnings.length, 1);
+      assert.match(warnings[0].msg, /2-page cap/);
+    });
+
+    it("leaves catalog updates and their alerts to the indexer", async () => {
+      const { bot, sakani, telegram } = harness;
+      await harness.runSteps([{ counters: { 1009: 0 } }]);
+      const entry = sakani.catalog.find((item) => item.id === "project_1002");
+      entry.attributes.min_non_bene_price = 150000;
+
+      // 1009 is not indexed, so the check looks it up in the Search API
+      sakani.applyStep({ counters: { 1009: 3 } });
+      await bot.runCheck();
+
+      assert.equal(sakani.requestsTo("search").length, 2);
+      assert.equal(telegram.messages().length, 0);
+      const stored = await bot.database.getProject(1002);
+      assert.equal(stored.min_non_bene_price, 180000);
+
+      await bot.runIndex();
+
+      const [alert] = telegram.messages();
+      assert.match(alert.text, /تغير سعر المشروع/);
+    });
+
+    it("announces brand-new projects, then sends details once indexed", async () => {
+      const { bot, sakani, telegram } = harness;
+      await bot.database.upsertSubscriber(SUBSCRIBER_ID, {});
+
+      await harness.runSteps([{ counters: {} }, { counters: { 1010: 2 } }]);
+
+      const [fallback] = telegram.messages(ADMIN_ID);
+      assert.match(fallback.text, /بيانات غير متوفرة/);
+      assert.match(fallback.text, /1010/);
+      // Delivered like every other alert: subscribers, metrics and audit trail
+      assert.equal(telegram.messages(SUBSCRIBER_ID).length, 1);
+      assert.equal(
+        harness.metric("notifications_total", {
+          channel: "telegram",
+          reason: "new_project",
+          status: "sent",
+        }),
+        1
+      );
+      const [decision] = await bot.database.getTriggerDecisions(1010);
+      assert.equal(decision.recipients_count, 2);
+
+      sakani.catalog.push({
+        id: "project_1010",
+        type: "project",
+        attributes: {
+          ...sakani.catalog[1].attributes,
+          resource_id: 1010,
+          project_name: "مخطط النخيل",
+        },
+      });
+      telegram.clear();
+      await bot.runIndex();
+
+      const [details] = telegram.messages(ADMIN_ID);
+      assert.match(details.text, /مشروع جديد على سكني/);
+      assert.match(details.text, /مخطط النخيل/);
+      assert.equal(telegram.messages(SUBSCRIBER_ID).length, 1);
+
+      telegram.clear();
+      await bot.runIndex();
+      assert.equal(telegram.messages().length, 0);
+    });
+  });
+
+  describe("Step 3: Validation API", () => {
+    it("alerts with validated data when all steps pass", async () => {
+      const { sakani, telegram } = harness;
+
+      await harness.play("restock");
+
+      const messages = telegram.messages();
+      assert.equal(messages.length, 1);
+      const [alert] = messages;
+      assert.equal(alert.method, "sendPhoto");
+      assert.equal(alert.chat_id, ADMIN_ID);
+      assert.match(alert.text, /عادت القطع للتوفر/);
+      assert.match(alert.text, /المرحلة الثانية/);
+      assert.match(alert.text, /11 وحدة/);
+      assert.equal(
+        alert.params.reply_markup.inline_keyboard[0][0].url,
+        "https://sakani.sa/app/land-projects/1004"
+      );
+      assert.equal(sakani.requestsTo("validation").length, 1);
+      assert.equal(
+        harness.metric("verification_outcomes_total", {
+          step: "step3_validation",
+          outcome: "passed",
+        }),
+        1
+      );
+    });
+
+    for (const scenario of ["validation-timeout", "validation-error"]) {
+      it(`falls back to Search API data (${scenario})`, async () => {
+        const { telegram } = harness;
+
+        await harness.play(scenario);
+
+        const [alert] = telegram.messages();
+        assert.match(alert.text, /مخطط الأرجوان/);
+        assert.doesNotMatch(alert.text, /المرحلة الثانية/);
+        // The live counter is the source of truth for the unit count
+        assert.match(alert.text, /11 وحدة/);
+        assert.equal(
+          harness.metric("verification_outcomes_total", {
+            step: "step3_validation",
+            outcome: "fallback",
+          }),
+          1
+        );
+      });
+    }
+
+    it("does not retry the Validation API", async () => {
+      const { bot, sakani, telegram } = harness;
+      bot.scraper.retry.maxRetries = 3;
+      bot.scraper.retry.baseDelay = 1;
+
+      await harness.play("validation-error");
+
+      assert.equal(sakani.requestsTo("validation").length, 1);
+      assert.equal(telegram.messages().length, 1);
+    });
+
+    it("falls back when the project is not bookable yet", async () => {
+      const { sakani, telegram } = harness;
+      sakani.setProject(1004, {
+        data: {
+          id: "1004",
+          attributes: {
+            name: "مخطط الأرجوان - المرحلة الثانية",
+            bookable: false,
+            units_statistic_data: { available_units_count: 11 },
+          },
+        },
+      });
+
+      await harness.play("restock");
+
+      const [alert] = telegram.messages();
+      assert.doesNotMatch(alert.text, /المرحلة الثانية/);
+      assert.equal(
+        harness.metric("verification_outcomes_total", {
+          step: "step3_validation",
+          outcome: "fallback",
+        }),
+        1
+      );
+    });
+  });
+
+  describe("Alerts", () => {
+    it("announces sold-out projects from stored metadata", async () => {
+      const { bot, sakani, telegram } = harness;
+
+      await harness.play("sold-out");
+
+      const [alert] = telegram.messages();
+      assert.match(alert.text, /نفدت القطع/);
+      assert.match(alert.text, /مخطط الياسمين/);
+      assert.equal(
+        alert.params.reply_markup.inline_keyboard[0][0].text,
+        "🔗 عرض المشروع على سكني"
+      );
+      assert.equal(sakani.requestsTo("validation").length, 0);
+
+      // Open since its first recorded count, so the sell-out closes a period
+      const [period] = await bot.database.getAvailabilityPeriods(1002);
+      assert.ok(period.opened_at);
+      assert.ok(period.closed_at);
+    });
+
+    it("announces increases above the threshold", async () => {
+      const { telegram } = harness;
+
+      await harness.runSteps([{ counters: {} }, { counters: { 1002: 30 } }]);
+
+      const [alert] = telegram.messages();
+      assert.match(alert.text, /تمت إضافة قطع جديدة/);
+      assert.match(alert.text, /30 وحدة \(\+25\)/);
+    });
+
+    it("sends text when the banner photo is rejected", async () => {
+      const { telegram } = harness;
+      telegram.failNext("sendPhoto");
+
+      await harness.play("restock");
+
+      const methods = telegram.messages().map((call) => call.method);
+      assert.deepEqual(methods, ["sendPhoto", "sendMessage"]);
+    });
+
+    it("stays silent for muted projects", async () => {
+      const { bot, telegram } = harness;
+
+      await harness.runSteps([{ counters: {} }]);
+      await bot.database.setMuted(1004, true);
+      await harness.runSteps([{ counters: { 1004: 11 } }]);
+
+      assert.equal(telegram.messages().length, 0);
+      assert.equal(await bot.database.getUnitCount(1004), 11);
+      assert.equal(
+        harness.metric("suppressed_triggers_total", {
+          reason: "restocked",
+          cause: "muted",
+        }),
+        1
+      );
+    });
+
+    it("edits the alert with the live count until sold out", async () => {
+      const { telegram } = harness;
+
+      await harness.runSteps([
+        { counters: {} },
+        { counters: { 1004: 11 } },
+        { counters: { 1004: 4 } },
+        { counters: { 1004: 0 } },
+      ]);
+
+      const edits = telegram.calls.filter(
+        (call) => call.method === "editMessageCaption"
+      );
+      assert.equal(edits.length, 2);
+      assert.match(edits[0].text, /4 وحدة/);
+      assert.match(edits[1].text, /نفدت/);
+      assert.equal(
+        edits[1].params.reply_markup.inline_keyboard[0][0].text,
+        "🔗 عرض المشروع على سكني"
+      );
+    });
+  });
+
+  describe("Restarts", () => {
+    it("sums up what opened while the bot was down", async () => {
+      const { bot, sakani, telegram } = harness;
+      await harness.runSteps([{ counters: {} }]);
+
+      // A restarted bot finds the counts of its previous run
+      bot.isFirstRun = true;
+      sakani.applyStep({ counters: { 1004: 11 } });
+      await bot.runCheck();
+
+      const messages = telegram.messages(ADMIN_ID);
+      assert.equal(messages.length, 1);
+      assert.match(messages[0].text, /أثناء غياب البوت/);
+      assert.equal(bot.isFirstRun, false);
+      assert.equal(
+        harness.metric("notifications_total", {
+          channel: "telegram",
+          reason: "catch_up",
+          status: "sent",
+        }),
+        1
+      );
+
+      const [decision] = await bot.database.getTriggerDecisions(1004);
+      assert.equal(decision.reason, "restocked");
+      assert.equal(decision.notified, 1);
+      assert.equal(decision.recipients_count, 1);
+      assert.equal(decision.detail, "sent in the catch-up summary");
+    });
+
+    it("reports the opening again when the summary is not delivered", async () => {
+      const { bot, sakani, telegram } = harness;
+      await harness.runSteps([{ counters: {} }]);
+
+      bot.isFirstRun = true;
+      telegram.failNext("sendMessage", "Bad Request: chat not found");
+      sakani.applyStep({ counters: { 1004: 11 } });
+      await bot.runCheck();
+
+      assert.match(bot.lastError.message, /Catch-up summary/);
+      assert.equal(await bot.database.getUnitCount(1004), 0);
+      assert.deepEqual(await bot.database.getTriggerDecisions(1004), []);
+
+      await bot.runCheck();
+
+      const summary = telegram.messages(ADMIN_ID).at(-1);
+      assert.match(summary.text, /أثناء غياب البوت/);
+      assert.equal(await bot.database.getUnitCount(1004), 11);
+      const [decision] = await bot.database.getTriggerDecisions(1004);
+      assert.equal(decision.notified, 1);
+    });
+
+    it("records a new baseline silently after resetBaseline()", async () => {
+      const { bot, sakani, telegram } = harness;
+      await harness.runSteps([{ counters: {} }]);
+
+      await bot.database.resetBaseline();
+      sakani.applyStep({ counters: { 1004: 11 } });
+      await bot.runCheck();
+
+      assert.equal(telegram.messages().length, 0);
+      assert.equal(await bot.database.getUnitCount(1004), 11);
+      assert.equal(await bot.database.isBaselinePending(), false);
+
+      // Later changes are announced again
+      sakani.applyStep({ counters: { 1002: 0 } });
+      await bot.runCheck();
+
+      const [alert] = telegram.messages(ADMIN_ID);
+      assert.match(alert.text, /نفدت القطع/);
+    });
+  });
+
+  describe("Audit trail", () => {
+    it("records each check run and why a project was announced", async () => {
+      const { bot } = harness;
+
+      await harness.play("restock");
+
+      const [run, baseline] = await bot.database.getCheckRuns();
+      assert.equal(baseline.status, "success");
+      assert.equal(baseline.triggers_count, 0);
+      assert.equal(run.status, "success");
+      assert.equal(run.counters_count, 3);
+      assert.equal(run.search_results_count, null);
+      assert.equal(run.triggers_count, 1);
+      assert.equal(run.notifications_count, 1);
+      assert.ok(run.finished_at);
+
+      const [decision] = await bot.database.getTriggerDecisions(1004);
+      assert.equal(decision.check_id, run.check_id);
+      assert.equal(decision.reason, "restocked");
+      assert.equal(decision.new_count, 11);
+      assert.equal(decision.step2_search, "passed");
+      assert.equal(decision.step3_validation, "passed");
+      assert.equal(decision.notified, 1);
+      assert.equal(decision.recipients_count, 1);
+    });
+
+    it("records why a trigger was not announced", async () => {
+      const { bot } = harness;
+
+      await harness.play("wrong-type");
+
+      const [decision] = await bot.database.getTriggerDecisions(1007);
+      assert.equal(decision.step1_counters, "passed");
+      assert.equal(decision.step2_search, "invalid_type");
+      assert.equal(decision.step3_validation, null);
+      assert.equal(decision.notified, 0);
+      assert.match(decision.detail, /offplan_private_land/);
+    });
+
+    it("counts every recorded trigger in the metrics", async () => {
+      const { bot, sakani } = harness;
+
+      await harness.play("wrong-type");
+      // Sells out again without being announced (type not accepted)
+      sakani.applyStep({ counters: { 1007: 0 } });
+      await bot.runCheck();
+
+      const decisions = await bot.database.getTriggerDecisions(1007);
+      assert.deepEqual(
+        decisions.map((row) => row.notified),
+        [0, 0]
+      );
+      for (const reason of ["sold_out", "restocked"]) {
+        assert.equal(harness.metric("triggers_total", { reason }), 1, reason);
+      }
+    });
+
+    it("records failed runs with their error", async () => {
+      const { bot } = harness;
+
+      await harness.play("counters-error");
+
+      const [run] = await bot.database.getCheckRuns();
+      assert.equal(run.status, "error");
+      assert.equal(run.counters_count, null);
+      assert.match(run.error, /503/);
+      assert.equal(run.check_id, bot.lastError.check_id);
+    });
+  });
+});